@@ -0,0 +1,310 @@
+// agentBackend.js
+// Where the gateway gets agent replies from. Every backend has the same shape:
+//   { name, respond(agentBody) -> { success, reply, error?, transfer?, bookings?, toolCalls?, messages? } }
+// transfer ({ reason, summary }) asks the gateway to hand the call to a person
+// after speaking the reply. bookings lists appointments booked this turn
+// ({ bookingId, start, serviceLabel, guestName, guestEmail }), so the
+// gateway can text a confirmation. toolCalls lists the tools run this turn
+// ({ name, arguments, result }), for the call transcript. messages is the turn in
+// chat-completions form (assistant tool_calls, tool results, then the reply),
+// which the gateway keeps in the session so later turns see what the tools said.
+// agentBody: { businessId, callSid, from, to, messages, text, language, afterHours,
+// channel, caller }, where messages is the conversation history ending with the
+// caller's turn, channel is "voice" or "sms" (callSid is then the
+// SMS conversation key) and caller is a returning customer's details or null
+// ({ name, email, preferredService, upcomingBookings, pastBookings }).
+// respond() never throws; on failure it returns a spoken fallback reply.
+//
+// Backends (AGENT_BACKEND for the deployment, or `agentBackend` in a business profile):
+//   http  - (default) POST to the book8-voice-agent service at VOICE_AGENT_BASE_URL
+//   local - runAgentTurn() from llmAgent.js in this process (needs OPENAI_API_KEY)
+//   mock  - scripted / keyword replies, for offline testing (AGENT_MOCK_REPLIES)
+import dotenv from "dotenv";
+import { randomUUID } from "crypto";
+import { APIConnectionTimeoutError } from "openai";
+import { getOwnBusinessProfile } from "./businessProfile.js";
+import { agentTimeoutsTotal, businessLabel } from "./metrics.js";
+
+dotenv.config();
+
+const AGENT_TIMEOUT_MS = 10000; // 10 seconds
+
+// ---------------------------------------------------------------------
+//  HTTP backend (book8-voice-agent service)
+// ---------------------------------------------------------------------
+// Safe agent call with timeout and comprehensive error handling
+// Returns { success: boolean, reply: string, error?: string }
+async function callAgentSafely(agentUrl, agentBody) {
+  try {
+    console.log("[AGENT] Calling voice-agent");
+    console.log("[AGENT] URL:", agentUrl);
+    console.log("[AGENT] callSid:", agentBody.callSid);
+    console.log("[AGENT] businessId:", agentBody.businessId);
+    console.log("[AGENT] Request body:", JSON.stringify(agentBody, null, 2));
+
+    // Create AbortController for timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), AGENT_TIMEOUT_MS);
+
+    try {
+      const agentRes = await fetch(agentUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(agentBody),
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+
+      // Read response as text first (safer than .json() which can throw)
+      const responseText = await agentRes.text();
+      
+      console.log("[AGENT] Response status:", agentRes.status);
+      console.log("[AGENT] Response body (first 500 chars):", responseText.slice(0, 500));
+
+      if (!agentRes.ok) {
+        console.error("[AGENT] API error:", agentRes.status, responseText.slice(0, 500));
+        return {
+          success: false,
+          reply: "I'm having trouble accessing the scheduling system right now. Please try again a bit later.",
+          error: `Agent API returned ${agentRes.status}`
+        };
+      }
+
+      // Attempt JSON.parse with safe fallback
+      let agentJson;
+      try {
+        agentJson = JSON.parse(responseText);
+      } catch (parseErr) {
+        console.error("[AGENT] JSON parse error:", parseErr);
+        console.error("[AGENT] Raw response:", responseText.slice(0, 500));
+        return {
+          success: false,
+          reply: "I'm having trouble processing the response. Please try again.",
+          error: "Invalid JSON response"
+        };
+      }
+
+      console.log("[AGENT] Parsed response:", agentJson);
+
+      // Extract reply from response
+      let reply = null;
+      if (agentJson.ok && agentJson.reply) {
+        reply = agentJson.reply;
+      } else if (agentJson.reply) {
+        reply = agentJson.reply;
+      } else {
+        reply = "Thanks. How else can I help you today?";
+      }
+
+      // The voice-agent service asks for a handoff with { transfer: { reason, summary } }
+      // and reports bookings made (and tools run) this turn in { bookings: [...], toolCalls: [...] }
+      return {
+        success: true,
+        reply: reply,
+        transfer: agentJson.transfer || null,
+        bookings: Array.isArray(agentJson.bookings) ? agentJson.bookings : [],
+        toolCalls: Array.isArray(agentJson.toolCalls) ? agentJson.toolCalls : []
+      };
+
+    } catch (fetchErr) {
+      clearTimeout(timeoutId);
+      
+      if (fetchErr.name === 'AbortError') {
+        console.error("[AGENT] Request timeout after", AGENT_TIMEOUT_MS, "ms");
+        agentTimeoutsTotal.inc({ business: businessLabel(agentBody.businessId), backend: "http" });
+        return {
+          success: false,
+          reply: "I'm taking a bit longer than usual. Please hold on, or try again in a moment.",
+          error: "Request timeout"
+        };
+      }
+      
+      throw fetchErr; // Re-throw to outer catch
+    }
+
+  } catch (err) {
+    console.error("[AGENT] Fatal error calling agent:", err);
+    console.error("[AGENT] Error stack:", err.stack);
+    return {
+      success: false,
+      reply: "I'm having trouble connecting right now. Please try calling again in a moment.",
+      error: err.message || "Unknown error"
+    };
+  }
+}
+
+export function createHttpAgentBackend({ baseUrl = process.env.VOICE_AGENT_BASE_URL } = {}) {
+  if (!baseUrl) {
+    throw new Error("VOICE_AGENT_BASE_URL not configured");
+  }
+  // Use VOICE_AGENT_BASE_URL (base URL without path) and construct full URL
+  const agentUrl = `${baseUrl}/api/agent-chat`;
+
+  return {
+    name: "http",
+    url: agentUrl,
+
+    async respond(agentBody) {
+      return callAgentSafely(agentUrl, agentBody);
+    }
+  };
+}
+
+// ---------------------------------------------------------------------
+//  Local backend (llmAgent.js in-process)
+//  llmAgent.js is imported on first use, so deployments that never pick
+//  this backend don't need OPENAI_API_KEY.
+// ---------------------------------------------------------------------
+export function createLocalAgentBackend() {
+  let agentModule = null;
+
+  return {
+    name: "local",
+
+    async respond(agentBody) {
+      try {
+        agentModule = agentModule || await import("./llmAgent.js");
+        const { text, transfer, bookings, toolCalls, messages } = await agentModule.runAgentTurn({
+          businessId: agentBody.businessId,
+          messages: agentBody.messages,
+          language: agentBody.language,
+          callerPhone: agentBody.from,
+          afterHours: agentBody.afterHours,
+          channel: agentBody.channel,
+          caller: agentBody.caller,
+          budgetMs: AGENT_TIMEOUT_MS
+        });
+        // runAgentTurn returns the whole history; only this turn's messages are new
+        const turnMessages = messages.slice((agentBody.messages || []).length);
+        return { success: true, reply: text, transfer, bookings, toolCalls, messages: turnMessages };
+      } catch (err) {
+        console.error("[AGENT] Local agent failed:", err);
+        if (err instanceof APIConnectionTimeoutError) {
+          agentTimeoutsTotal.inc({ business: businessLabel(agentBody.businessId), backend: "local" });
+        }
+        return {
+          success: false,
+          reply: "I'm having trouble connecting right now. Please try calling again in a moment.",
+          error: err.message || "Unknown error"
+        };
+      }
+    }
+  };
+}
+
+// ---------------------------------------------------------------------
+//  Mock backend
+//  With AGENT_MOCK_REPLIES ("reply one|reply two|..."), the Nth caller turn
+//  gets the Nth reply (the last one repeats). Otherwise replies by keyword.
+//  A rule's bookings / toolCalls get { bookingId }, fresh for every reply.
+// ---------------------------------------------------------------------
+const MOCK_RULES = [
+  {
+    match: /\b(human|person|someone|staff|representative|operator|manager)\b/i,
+    reply: "Sure, let me connect you with someone from the team.",
+    transfer: { reason: "caller_request", summary: "Caller asked to speak with a person." }
+  },
+  {
+    // Pretends to book tomorrow at 10:00 UTC, so SMS confirmations can be tried offline
+    match: /\b(confirm|book it)\b/i,
+    reply: "You're all set for tomorrow at 10 AM. A confirmation text is on its way.",
+    bookings: ({ bookingId }) => [{
+      bookingId,
+      start: new Date(`${new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10)}T10:00:00Z`).toISOString(),
+      serviceLabel: null,
+      guestName: null,
+      guestEmail: null
+    }],
+    toolCalls: ({ bookingId }) => [{ name: "book_appointment", arguments: { start: null }, result: { ok: true, bookingId } }]
+  },
+  { match: /\b(cancel)\b/i, reply: "I can help you cancel. What's the phone number or email on the booking?" },
+  { match: /\b(reschedule|move|change)\b/i, reply: "Sure, let's move your appointment. What day works better for you?" },
+  {
+    match: /\b(book|appointment|schedule|available|availability)\b/i,
+    reply: "I can book that for you. What day and time would you like?",
+    toolCalls: () => [{ name: "check_availability", arguments: {}, result: { ok: true, slots: [] } }]
+  },
+  { match: /\b(hours|open|close)\b/i, reply: "We're open Monday to Friday, nine to five. Would you like to book a time?" },
+  { match: /\b(bye|goodbye|that's all|thank you)\b/i, reply: "Thanks for calling. Have a great day!" }
+];
+
+export function createMockAgentBackend({ replies = process.env.AGENT_MOCK_REPLIES } = {}) {
+  const scripted = (replies || "").split("|").map(r => r.trim()).filter(Boolean);
+
+  return {
+    name: "mock",
+
+    async respond(agentBody) {
+      const turn = (agentBody.messages || []).filter(m => m.role === "user").length;
+      if (scripted.length > 0) {
+        return { success: true, reply: scripted[Math.min(Math.max(turn - 1, 0), scripted.length - 1)] };
+      }
+
+      const rule = MOCK_RULES.find(r => r.match.test(agentBody.text || ""));
+      if (!rule) {
+        return { success: true, reply: `You said: ${agentBody.text}. How can I help with your booking?` };
+      }
+      const ids = { bookingId: `mock_${randomUUID()}` };
+      return {
+        success: true,
+        reply: rule.reply,
+        transfer: rule.transfer,
+        bookings: rule.bookings?.(ids),
+        toolCalls: rule.toolCalls?.(ids)
+      };
+    }
+  };
+}
+
+// ---------------------------------------------------------------------
+//  Selection
+// ---------------------------------------------------------------------
+const BACKEND_FACTORIES = {
+  http: createHttpAgentBackend,
+  local: createLocalAgentBackend,
+  mock: createMockAgentBackend
+};
+
+/**
+ * createAgentBackends({ defaultBackend })
+ * Builds the deployment default up front (throws if it can't be configured)
+ * and per-business overrides on first use.
+ * - default: the deployment backend
+ * - forBusiness(businessId): the business's `agentBackend` if set and usable,
+ *   else the default
+ */
+export function createAgentBackends({ defaultBackend = process.env.AGENT_BACKEND || "http" } = {}) {
+  const instances = new Map();
+
+  const get = (name) => {
+    if (!instances.has(name)) {
+      const factory = BACKEND_FACTORIES[name];
+      if (!factory) {
+        throw new Error(`Unknown agent backend: ${name}`);
+      }
+      instances.set(name, factory());
+    }
+    return instances.get(name);
+  };
+
+  const fallback = get(defaultBackend);
+
+  return {
+    default: fallback,
+
+    async forBusiness(businessId) {
+      if (!businessId) return fallback;
+
+      const name = (await getOwnBusinessProfile(businessId))?.agentBackend;
+      if (!name || name === fallback.name) return fallback;
+
+      try {
+        return get(name);
+      } catch (err) {
+        console.warn(`[AGENT] Business ${businessId} asks for agent backend "${name}" (${err.message}); using ${fallback.name}`);
+        return fallback;
+      }
+    }
+  };
+}
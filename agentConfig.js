@@ -1,10 +1,12 @@
 // agentConfig.js
 import dotenv from "dotenv";
+import { baseLanguage, languageName } from "./callLanguage.js";
 
 dotenv.config();
 
-// 1) Static business profile for now.
-// Later we can fetch this from Book8 via HTTP.
+// 1) Static business profile.
+// Real profiles are loaded from core-api by businessId (see businessProfile.js);
+// this is only the explicit fallback when none can be loaded.
 export const BUSINESS_PROFILE = {
   handle: "waismofit",             // Book8 scheduling handle
   businessType: "fitness coaching",
@@ -32,13 +34,67 @@ export const BUSINESS_PROFILE = {
   // Simple policies/prompts the agent can mention
   policies: {
     cancellation: "Please give at least 12 hours notice to cancel or reschedule.",
+    cancellationWindowHours: 12,
     location: "All sessions are online via video call unless otherwise agreed."
   }
 };
 
 // Build the SYSTEM prompt string the Realtime model will receive.
-export function buildSystemPrompt(profile) {
+// language: the caller's language (BCP-47, e.g. "fr-CA"); replies must be in it
+// callerPhone: caller ID, used as guestPhone unless the caller gives another number
+// afterHours: the business is closed; the agent only handles appointments
+// channel: "voice" (phone call) or "sms" (text messages)
+// caller: what we know about a returning customer (see callerLookup.js), or null
+export function buildSystemPrompt(profile, { language, callerPhone, afterHours = false, channel = "voice", caller = null } = {}) {
   const tz = profile.timezone || "America/Toronto";
+  const languageRules = language && baseLanguage(language) !== "en"
+    ? `
+====================
+LANGUAGE
+====================
+The caller speaks ${languageName(language)} (${language}). Always reply in ${languageName(language)}, even though these instructions are in English.
+Say dates, times and prices the way a ${languageName(language)} speaker would.
+`
+    : "";
+  const afterHoursRules = afterHours
+    ? `
+====================
+AFTER HOURS
+====================
+The business is closed right now and nobody from the team is available.
+- Only help with appointments: booking, changing or cancelling. For anything else, tell the caller the team will be back during business hours.
+- You cannot transfer the call to a person.
+`
+    : "";
+  const channelRules = channel === "sms"
+    ? `
+====================
+TEXT MESSAGES
+====================
+This conversation is over SMS, not a phone call. Ignore the phone-call style rules above:
+- Write complete details in plain text: service, date, time, timezone and price.
+- No markdown, no emojis. Short lines are fine; lists are fine.
+- You cannot transfer a text conversation to a person; say the team can be reached by calling this number.
+`
+    : "";
+
+  const describeBooking = (b) => `${b.serviceLabel || "appointment"} on ${b.start}${b.bookingId ? ` (bookingId ${b.bookingId})` : ""}`;
+  const callerRules = caller
+    ? `
+====================
+RETURNING CUSTOMER
+====================
+This caller has been here before. From our records:
+${caller.name ? `- Name: ${caller.name}
+` : ""}${caller.email ? `- Email: ${caller.email}
+` : ""}${caller.preferredService ? `- Usually books: ${caller.preferredService}
+` : ""}${caller.upcomingBookings.length > 0 ? `- Upcoming: ${caller.upcomingBookings.map(describeBooking).join("; ")}
+` : ""}${caller.pastBookings.length > 0 ? `- Past: ${caller.pastBookings.map(describeBooking).join("; ")}
+` : ""}- Use these details as "guestName" / "guestEmail" instead of asking for them again; just check they're still right before booking.
+- If they ask about "my appointment", start from the upcoming bookings above.
+- Suggest their usual service when they don't say which one they want.
+`
+    : "";
 
   const now = new Date();
   const todayIso = now.toISOString().slice(0, 10); // e.g. "2025-12-07"
@@ -47,7 +103,7 @@ export function buildSystemPrompt(profile) {
 You are a professional phone booking agent for the business "${profile.name}" (handle: ${profile.handle}).
 
 Current date (today) is: ${todayIso} in timezone ${tz}.
-
+${callerPhone ? `The caller is calling from ${callerPhone}. Use it as "guestPhone" unless they give another number.\n` : ""}
 Your job:
 - Have a natural, friendly, real-time phone conversation with callers.
 - Help them choose a service, explain options and pricing.
@@ -74,15 +130,21 @@ DATE & TIME RULES
   - For "book_appointment":
     - "start": full ISO 8601 datetime with offset, e.g. "2025-12-08T10:00:00-05:00".
     - "guestName", "guestEmail", "guestPhone" from the caller.
+  - For "reschedule_appointment":
+    - "newStart": full ISO 8601 datetime with offset, like "start" above.
 - Do NOT use dates in the past (e.g. 2023) when the caller clearly means a future date like "tomorrow".
 - If you're unsure about the date or time, ask a clarifying question.
 
 ====================
 WHEN TO CALL TOOLS
 ====================
-You have two tools:
+You have these tools:
 1) check_availability
 2) book_appointment
+3) find_bookings
+4) reschedule_appointment
+5) cancel_appointment
+6) transfer_to_human
 
 **Always use tools for anything involving the calendar.**
 
@@ -110,6 +172,33 @@ It is allowed and expected to:
   - First "check_availability", then "book_appointment" once you see a free slot.
 - Decide to BOOK directly, without another verbal confirmation, **when the caller already gave explicit instructions** ("book me…", "schedule it…", "lock it in…").
 
+====================
+CHANGING OR CANCELLING
+====================
+- If the caller wants to move or cancel an appointment:
+  1. Call "find_bookings". It only finds bookings made with the number they're calling from (or the email we have on file for it);
+     a phone number or email they tell you can't be used to find someone's bookings. If they need a booking made under
+     other details, offer to transfer them to the team.
+  2. Confirm which booking they mean (service, date and time). Never guess a bookingId.
+  3. For a new time, call "check_availability" first, then "reschedule_appointment".
+  4. For a cancellation, confirm once, then call "cancel_appointment".
+- Changes too close to the appointment (see the cancellation policy above) are refused by the tools.
+  If a tool returns "outside_cancellation_policy", explain the policy politely and offer to take a message for the business instead.
+
+====================
+TRANSFERRING TO A PERSON
+====================
+- Call "transfer_to_human" when the caller asks for a person, or when you cannot help them (complaints, billing, anything the tools can't do).
+- Give a one or two sentence "summary" for the staff member: who is calling and what they need.
+- After calling it, just tell the caller you're connecting them. Don't ask anything else.
+
+====================
+KEYPAD INPUT
+====================
+- Callers can use their phone keypad. A caller message like "(Caller pressed 1 on the keypad: wants to book an appointment)" is a menu choice; act on it as if they had said it.
+- "(Caller typed their phone number on the keypad: 4165550123)" gives you the digits they typed; use them as given and read them back to confirm.
+- When you need a phone number or confirmation code, ask for it by name ("phone number", "confirmation code") so the caller can type it.
+
 ====================
 CONVERSATION STYLE
 ====================
@@ -120,20 +209,11 @@ CONVERSATION STYLE
   - Caller name, email, phone
 - After a successful booking:
   - Clearly state what you booked (service, date, time, timezone).
-  - Mention that a confirmation email has been sent.
+  - Mention that a confirmation text message is on its way (and an email too, if they gave one).
 
 Never say "I can't check availability" unless a tool call actually fails.
 If a tool call fails, briefly apologize and ask the caller to try another time or channel.
-`;
-}
-
-// Helper to get business profile by handle (for now, just return static profile)
-export async function getBusinessProfile(handle) {
-  // For now, return static profile. Later we can fetch from Book8 API
-  const profile = { ...BUSINESS_PROFILE };
-  // Add agentApiKey from env for now
-  profile.agentApiKey = process.env.BOOK8_AGENT_API_KEY;
-  return profile;
+${languageRules}${afterHoursRules}${channelRules}${callerRules}`;
 }
 
 // Tool schemas for OpenAI responses API
@@ -170,6 +250,62 @@ export const tools = [
         required: ["start", "guestName"]
       }
     }
+  },
+  {
+    type: "function",
+    function: {
+      name: "find_bookings",
+      description: "Find the caller's own upcoming bookings (matched by the number they're calling from and the email on file for it).",
+      parameters: {
+        type: "object",
+        properties: {}
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "reschedule_appointment",
+      description: "Move an existing booking (from find_bookings) to a new start time.",
+      parameters: {
+        type: "object",
+        properties: {
+          bookingId: { type: "string" },
+          newStart: { type: "string", description: "ISO datetime with timezone" }
+        },
+        required: ["bookingId", "newStart"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "cancel_appointment",
+      description: "Cancel an existing booking (from find_bookings).",
+      parameters: {
+        type: "object",
+        properties: {
+          bookingId: { type: "string" },
+          reason: { type: "string" }
+        },
+        required: ["bookingId"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "transfer_to_human",
+      description: "Hand the call to a staff member at the business. Falls back to voicemail if nobody answers.",
+      parameters: {
+        type: "object",
+        properties: {
+          reason: { type: "string", description: "Why, e.g. caller_request, cannot_help, complaint" },
+          summary: { type: "string", description: "One or two sentences for the staff member: who is calling and what they need" }
+        },
+        required: ["reason", "summary"]
+      }
+    }
   }
 ];
 
@@ -181,3 +317,39 @@ export function getServiceById(profile, serviceId) {
   return profile.services.find(s => s.id === serviceId) || null;
 }
 
+// Minimum notice (hours) to cancel or reschedule, from the profile's policies.
+// Uses policies.cancellationWindowHours, else the first "<n> hours" in the
+// cancellation text; null when the business has no window.
+export function getCancellationWindowHours(profile) {
+  const explicit = profile?.policies?.cancellationWindowHours;
+  if (explicit != null && Number(explicit) >= 0) return Number(explicit);
+
+  const match = /(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\b/i.exec(profile?.policies?.cancellation || "");
+  return match ? Number(match[1]) : null;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Returns an error payload when the booking starts inside the business's
+// cancellation window, or null when the change is allowed.
+export function checkCancellationWindow(profile, booking) {
+  const windowHours = getCancellationWindowHours(profile);
+  if (windowHours == null) return null;
+
+  const startsAt = new Date(booking.start).getTime();
+  if (Number.isNaN(startsAt)) {
+    return { ok: false, error: "unknown_booking_time", message: "The booking has no valid start time." };
+  }
+
+  const hoursUntilStart = (startsAt - Date.now()) / HOUR_MS;
+  if (hoursUntilStart < windowHours) {
+    return {
+      ok: false,
+      error: "outside_cancellation_policy",
+      windowHours,
+      hoursUntilStart: Math.max(0, Math.round(hoursUntilStart * 10) / 10),
+      policy: profile.policies?.cancellation || `Changes need at least ${windowHours} hours notice.`,
+    };
+  }
+  return null;
+}
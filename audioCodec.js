@@ -0,0 +1,75 @@
+// audioCodec.js
+// Helpers for the audio format Twilio Media Streams use on the wire:
+// 8 kHz, 8-bit, mono mu-law, exchanged as base64 payloads of 20 ms frames.
+
+export const MULAW_SAMPLE_RATE = 8000;
+export const FRAME_MS = 20;
+// 8000 samples/sec * 0.020 sec * 1 byte/sample
+export const MULAW_FRAME_BYTES = (MULAW_SAMPLE_RATE * FRAME_MS) / 1000;
+// Mu-law encoding of a zero sample, used to pad the last frame
+export const MULAW_SILENCE_BYTE = 0xff;
+
+/**
+ * Re-chunk an arbitrary byte stream into fixed-size mu-law frames.
+ * HTTP chunks from ElevenLabs don't line up with 20 ms boundaries, so any
+ * remainder is carried over to the next push().
+ * - push(chunk): returns the complete frames now available (Buffer[])
+ * - flush(): returns the final partial frame padded with silence, or null
+ */
+export function createFrameSplitter(frameBytes = MULAW_FRAME_BYTES) {
+  let pending = Buffer.alloc(0);
+
+  return {
+    push(chunk) {
+      pending = pending.length > 0
+        ? Buffer.concat([pending, Buffer.from(chunk)])
+        : Buffer.from(chunk);
+
+      const frames = [];
+      let offset = 0;
+      while (pending.length - offset >= frameBytes) {
+        frames.push(pending.subarray(offset, offset + frameBytes));
+        offset += frameBytes;
+      }
+      pending = pending.subarray(offset);
+      return frames;
+    },
+
+    flush() {
+      if (pending.length === 0) return null;
+      const frame = Buffer.alloc(frameBytes, MULAW_SILENCE_BYTE);
+      pending.copy(frame);
+      pending = Buffer.alloc(0);
+      return frame;
+    }
+  };
+}
+
+// G.711 mu-law -> 16-bit linear PCM lookup table (built once)
+const MULAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  MULAW_DECODE_TABLE[i] = (u & 0x80) ? -magnitude : magnitude;
+}
+
+// Decode a mu-law buffer (e.g. an inbound Media Stream payload) to 16-bit PCM samples
+export function decodeMulaw(mulawBytes) {
+  const samples = new Int16Array(mulawBytes.length);
+  for (let i = 0; i < mulawBytes.length; i++) {
+    samples[i] = MULAW_DECODE_TABLE[mulawBytes[i]];
+  }
+  return samples;
+}
+
+// Root-mean-square energy of a block of PCM samples (0 - 32768)
+export function pcmRms(samples) {
+  if (!samples.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+}
@@ -58,3 +58,27 @@ export async function bookAppointment({
   });
 }
 
+// Call /api/agent/bookings/find on Book8
+// Upcoming bookings for a caller, matched by phone and/or email
+export async function findBookings({ guestPhone, guestEmail }) {
+  return postJson("/api/agent/bookings/find", {
+    guestPhone,
+    guestEmail,
+  });
+}
+
+// Call /api/agent/reschedule on Book8
+export async function rescheduleAppointment({ bookingId, newStart }) {
+  return postJson("/api/agent/reschedule", {
+    bookingId,
+    newStart,
+  });
+}
+
+// Call /api/agent/cancel on Book8
+export async function cancelAppointment({ bookingId, reason }) {
+  return postJson("/api/agent/cancel", {
+    bookingId,
+    reason,
+  });
+}
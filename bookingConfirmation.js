@@ -0,0 +1,91 @@
+// bookingConfirmation.js
+// The text message a caller gets after the agent books them in.
+//
+// A business can set its own wording with `smsConfirmationTemplate` in its
+// profile (or BUSINESSES_BY_PHONE entry): one string, or one per language
+// ({ "en": "...", "fr-CA": "..." }).
+// Placeholders: {businessName} {service} {date} {time} {guestName}
+// {businessPhone} {bookingId}. Date and time are in the business timezone,
+// written the way the caller's language does.
+import { getOwnBusinessProfile } from "./businessProfile.js";
+import { BUSINESSES_BY_PHONE } from "./businessConfig.js";
+import { baseLanguage } from "./callLanguage.js";
+import { isCallerIdNumber } from "./callerLookup.js";
+import { sendSms } from "./twilioClient.js";
+
+const DEFAULT_TEMPLATES = {
+  en: "{businessName}: your {service} is booked for {date} at {time}. To cancel or reschedule, call or text {businessPhone}.",
+  fr: "{businessName} : réservation confirmée pour « {service} » le {date} à {time}. Pour annuler ou modifier, appelez ou textez le {businessPhone}.",
+  es: "{businessName}: reserva confirmada para «{service}» el {date} a las {time}. Para cancelar o cambiarla, llame o escriba al {businessPhone}."
+};
+
+const DEFAULT_SERVICE = { en: "appointment", fr: "rendez-vous", es: "cita" };
+
+function pickTemplate(profile, language) {
+  const custom = profile?.smsConfirmationTemplate;
+  if (typeof custom === "string" && custom.trim()) return custom;
+  if (custom && typeof custom === "object") {
+    const chosen = custom[language] || custom[baseLanguage(language)] || custom.en;
+    if (typeof chosen === "string" && chosen.trim()) return chosen;
+  }
+  return DEFAULT_TEMPLATES[baseLanguage(language)] || DEFAULT_TEMPLATES.en;
+}
+
+// { date: "Wednesday, October 21", time: "10:30 AM" } in the business timezone
+export function formatBookingTime(start, timezone, language) {
+  const date = new Date(start);
+  if (isNaN(date)) return { date: String(start || ""), time: "" };
+  const locale = language || "en-US";
+  return {
+    date: date.toLocaleDateString(locale, { timeZone: timezone, weekday: "long", month: "long", day: "numeric" }),
+    time: date.toLocaleTimeString(locale, { timeZone: timezone, hour: "numeric", minute: "2-digit" })
+  };
+}
+
+/**
+ * Confirmation text for a booking ({ bookingId, start, serviceLabel, guestName }).
+ * businessPhone is the number the caller reached us on.
+ */
+export function renderBookingConfirmation(profile, booking, { language, businessPhone } = {}) {
+  const { date, time } = formatBookingTime(booking.start, profile?.timezone || "America/Toronto", language);
+  const values = {
+    businessName: profile?.name || "",
+    service: booking.serviceLabel || DEFAULT_SERVICE[baseLanguage(language)] || DEFAULT_SERVICE.en,
+    date,
+    time,
+    guestName: booking.guestName || "",
+    businessPhone: businessPhone || "",
+    bookingId: booking.bookingId || ""
+  };
+  return pickTemplate(profile, language)
+    .replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder))
+    .replace(/^\s*:\s*/, "")  // "{businessName}: ..." with no name known
+    .replace(/\.\./g, ".")     // "10:30 a.m.." when a sentence ends on the time
+    .trim();
+}
+
+/**
+ * Text the caller a confirmation for one booking. Sent from the business's
+ * number (`businessPhone`) to the caller ID (`callerPhone`) only: never to a
+ * number the caller gave the agent, which could be anyone's.
+ * Never throws: { sent, to, body, sid?, status?, error? }.
+ */
+export async function sendBookingConfirmation({ businessId, booking, callerPhone, businessPhone, language, statusCallback }) {
+  const to = callerPhone;
+  if (!isCallerIdNumber(to)) {
+    return { sent: false, to: to || null, body: null, error: "no textable phone number" };
+  }
+
+  const phoneConfig = BUSINESSES_BY_PHONE[businessPhone];
+  const profile = await getOwnBusinessProfile(businessId) || (phoneConfig && {
+    name: phoneConfig.displayName,
+    timezone: phoneConfig.timezone,
+    smsConfirmationTemplate: phoneConfig.smsConfirmationTemplate
+  });
+
+  const body = renderBookingConfirmation(profile, booking, { language, businessPhone });
+  const result = await sendSms({ to, from: businessPhone, body, statusCallback });
+  return result.ok
+    ? { sent: true, to, body, sid: result.sid, status: result.status }
+    : { sent: false, to, body, error: result.error };
+}
@@ -2,8 +2,11 @@
 
 // Map Twilio phone numbers → business config
 // Use E.164 format exactly as Twilio sends in req.body.To
+// businessId (core-api's id for the business) is only needed for routing calls
+// when core-api is unreachable; entries without one aren't routed locally.
 export const BUSINESSES_BY_PHONE = {
   "+16477882883": {             // your existing number
+    // businessId: "...",       // core-api businessId, enables the local routing fallback
     handle: "waismofit",
     displayName: "Wais Mo Fitness",
     greeting: "Hi, this is Wais Mo Fitness. I'm your AI assistant. How can I help you today?",
@@ -28,3 +31,9 @@ export function getBusinessForCall(req) {
 }
 
 
+// Local routing fallback for when core-api /api/resolve can't be reached.
+// Only entries with an explicit businessId are routed: a handle isn't a
+// businessId, and would end up in billing events and profile fetches.
+export function getLocalBusinessIdForPhone(toNumber) {
+  return BUSINESSES_BY_PHONE[toNumber]?.businessId || null;
+}
@@ -0,0 +1,161 @@
+// businessHours.js
+// Is the business open right now? Decides whether /twilio/voice runs the
+// normal call flow or the after-hours one (message, then booking-only
+// self-service or voicemail).
+//
+// Read from the business profile, else BUSINESSES_BY_PHONE by the number called:
+//   hours:     { mon: ["09:00-12:00", "13:00-17:00"], sat: "10:00-14:00", sun: [] }
+//              local time in the business timezone; a day that isn't listed is closed
+//   holidays:  ["2026-12-25", { date: "2026-07-01", name: "Canada Day" }] (closed all day)
+//   closures:  [{ start: "2026-08-03T12:00:00-04:00", end: "...", reason: "Staff training" }]
+//   afterHoursMessage: spoken instead of the default "we're closed" line
+//   afterHoursMode:    "choice" (default, caller picks) | "booking" | "voicemail"
+// A business without `hours` is always open.
+import { getOwnBusinessProfile } from "./businessProfile.js";
+import { BUSINESSES_BY_PHONE } from "./businessConfig.js";
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+export const AFTER_HOURS_MODES = ["choice", "booking", "voicemail"];
+
+const DEFAULT_TIMEZONE = "America/Toronto";
+const RANGE_PATTERN = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+
+// "09:00-17:30" -> [540, 1050] (minutes since midnight), null if malformed
+export function parseTimeRange(range) {
+  const match = RANGE_PATTERN.exec(String(range || "").trim());
+  if (!match) return null;
+  const open = Number(match[1]) * 60 + Number(match[2]);
+  const close = Number(match[3]) * 60 + Number(match[4]);
+  if (Number(match[2]) > 59 || Number(match[4]) > 59 || close > 24 * 60 || open >= close) return null;
+  return [open, close];
+}
+
+function rangesFor(hours, day) {
+  const ranges = hours?.[day];
+  if (ranges == null) return [];
+  return Array.isArray(ranges) ? ranges : [ranges];
+}
+
+/**
+ * Problems with a profile's hours / holidays / closures, as strings for
+ * validateBusinessProfile(). Empty when everything is usable.
+ */
+export function validateBusinessHours(raw) {
+  const errors = [];
+
+  if (raw.hours != null) {
+    if (typeof raw.hours !== "object" || Array.isArray(raw.hours)) {
+      errors.push("hours must be an object keyed by weekday (mon..sun)");
+    } else {
+      for (const [day, ranges] of Object.entries(raw.hours)) {
+        if (!WEEKDAYS.includes(day)) {
+          errors.push(`hours.${day} is not a weekday (use ${WEEKDAYS.join(", ")})`);
+          continue;
+        }
+        rangesFor(raw.hours, day).forEach((range, i) => {
+          if (!parseTimeRange(range)) errors.push(`hours.${day}[${i}] must look like "09:00-17:00"`);
+        });
+      }
+    }
+  }
+
+  if (raw.holidays != null && !Array.isArray(raw.holidays)) {
+    errors.push("holidays must be an array");
+  } else {
+    (raw.holidays || []).forEach((h, i) => {
+      const date = typeof h === "string" ? h : h?.date;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) errors.push(`holidays[${i}] must be a YYYY-MM-DD date`);
+    });
+  }
+
+  if (raw.closures != null && !Array.isArray(raw.closures)) {
+    errors.push("closures must be an array");
+  } else {
+    (raw.closures || []).forEach((c, i) => {
+      if (isNaN(Date.parse(c?.start)) || isNaN(Date.parse(c?.end))) {
+        errors.push(`closures[${i}] needs ISO "start" and "end" datetimes`);
+      }
+    });
+  }
+
+  if (raw.afterHoursMode != null && !AFTER_HOURS_MODES.includes(raw.afterHoursMode)) {
+    errors.push(`afterHoursMode must be one of ${AFTER_HOURS_MODES.join(", ")}`);
+  }
+
+  return errors;
+}
+
+// Weekday, date and minutes since midnight at `now` in the business timezone
+function localTime(now, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    }).formatToParts(now).map(p => [p.type, p.value])
+  );
+  return {
+    day: parts.weekday.toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Whether a business is open at `now`, from its schedule:
+ * { open, reason: "open" | "no_hours" | "closure" | "holiday" | "closed", detail }
+ * detail is the closure reason or holiday name, when there is one.
+ */
+export function checkBusinessHours(schedule, now = new Date()) {
+  if (!schedule?.hours) {
+    return { open: true, reason: "no_hours", detail: null };
+  }
+
+  const nowMs = now.getTime();
+  const closure = (schedule.closures || []).find(c => Date.parse(c.start) <= nowMs && nowMs < Date.parse(c.end));
+  if (closure) {
+    return { open: false, reason: "closure", detail: closure.reason || null };
+  }
+
+  const local = localTime(now, schedule.timezone || DEFAULT_TIMEZONE);
+
+  const holiday = (schedule.holidays || []).find(h => (typeof h === "string" ? h : h.date) === local.date);
+  if (holiday) {
+    return { open: false, reason: "holiday", detail: holiday.name || null };
+  }
+
+  const open = rangesFor(schedule.hours, local.day)
+    .map(parseTimeRange)
+    .some(range => range && range[0] <= local.minutes && local.minutes < range[1]);
+  return { open, reason: open ? "open" : "closed", detail: null };
+}
+
+/**
+ * Opening status for a call to `to`, routed to `businessId`, plus how to
+ * handle it when closed: { open, reason, detail, message, mode }.
+ * message is the business's afterHoursMessage (null = use the default phrase).
+ * Never throws; a business without hours is always open.
+ */
+export async function getBusinessHoursStatus({ businessId, to, now = new Date() }) {
+  const profile = await getOwnBusinessProfile(businessId);
+  const phoneConfig = BUSINESSES_BY_PHONE[to];
+
+  const source = profile?.hours ? profile : phoneConfig?.hours ? phoneConfig : null;
+  const status = checkBusinessHours(source && {
+    hours: source.hours,
+    holidays: source.holidays,
+    closures: source.closures,
+    timezone: source.timezone || profile?.timezone
+  }, now);
+
+  return {
+    ...status,
+    message: source?.afterHoursMessage || null,
+    mode: AFTER_HOURS_MODES.includes(source?.afterHoursMode) ? source.afterHoursMode : "choice"
+  };
+}
@@ -0,0 +1,230 @@
+// businessProfile.js
+// Loads each tenant's business profile (services, timezone, policies) from
+// core-api by businessId.
+//
+// Caching is stale-while-revalidate:
+// - younger than PROFILE_FRESH_MS      -> served from cache
+// - younger than PROFILE_MAX_STALE_MS  -> served from cache, refreshed in the background
+// - older / missing                    -> fetched before answering
+// If core-api is down or returns an invalid profile we keep serving the last good
+// copy (for up to PROFILE_MAX_STALE_MS). Only when there is none do we fall back
+// to the static BUSINESS_PROFILE, logged loudly since that tenant is getting the
+// wrong business.
+import dotenv from "dotenv";
+import { BUSINESS_PROFILE } from "./agentConfig.js";
+import { getCoreApiJson } from "./coreApiClient.js";
+import { createLruCache } from "./lruCache.js";
+import { validateBusinessHours } from "./businessHours.js";
+import { validateKeypadMenu } from "./keypadMenu.js";
+import { validateRecordingSettings } from "./callRecording.js";
+
+dotenv.config();
+
+const PROFILE_FRESH_MS = Number(process.env.PROFILE_CACHE_TTL_MS) || 5 * 60 * 1000;   // 5 minutes
+const PROFILE_MAX_STALE_MS = 60 * 60 * 1000;                                          // 1 hour
+const PROFILE_FETCH_TIMEOUT_MS = 3000;
+
+const profileCache = createLruCache({ maxEntries: 1000, ttlMs: PROFILE_MAX_STALE_MS });
+// businessId -> Promise, so concurrent calls share one core-api request
+const inflight = new Map();
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a raw core-api profile against the shape buildSystemPrompt() and the
+ * agent tools rely on. Returns { ok, profile, errors } with the profile normalized
+ * (defaults filled in, unknown fields kept).
+ */
+export function validateBusinessProfile(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== "object") {
+    return { ok: false, profile: null, errors: ["profile is not an object"] };
+  }
+
+  if (typeof raw.name !== "string" || !raw.name.trim()) {
+    errors.push("name must be a non-empty string");
+  }
+  if (raw.handle != null && typeof raw.handle !== "string") {
+    errors.push("handle must be a string");
+  }
+
+  const timezone = raw.timezone || BUSINESS_PROFILE.timezone;
+  if (!isValidTimezone(timezone)) {
+    errors.push(`timezone "${timezone}" is not a valid IANA timezone`);
+  }
+
+  if (!Array.isArray(raw.services) || raw.services.length === 0) {
+    errors.push("services must be a non-empty array");
+  } else {
+    raw.services.forEach((s, i) => {
+      if (!s || typeof s.id !== "string") errors.push(`services[${i}].id must be a string`);
+      if (!s || typeof s.label !== "string") errors.push(`services[${i}].label must be a string`);
+      if (!s || !(Number(s.durationMinutes) > 0)) errors.push(`services[${i}].durationMinutes must be a positive number`);
+      if (s && s.price != null && !(Number(s.price) >= 0)) errors.push(`services[${i}].price must be a number >= 0`);
+    });
+  }
+
+  if (raw.policies != null && typeof raw.policies !== "object") {
+    errors.push("policies must be an object");
+  }
+
+  if (raw.agentBackend != null && typeof raw.agentBackend !== "string") {
+    errors.push("agentBackend must be a string");
+  }
+
+  if (raw.languages != null && !Array.isArray(raw.languages)) {
+    errors.push("languages must be an array");
+  }
+
+  // Optional opening hours / after-hours settings (see businessHours.js)
+  errors.push(...validateBusinessHours(raw));
+  if (raw.afterHoursMessage != null && typeof raw.afterHoursMessage !== "string") {
+    errors.push("afterHoursMessage must be a string");
+  }
+
+  // Optional SMS confirmation wording (see bookingConfirmation.js)
+  const template = raw.smsConfirmationTemplate;
+  if (template != null && typeof template !== "string"
+      && (typeof template !== "object" || Object.values(template).some(t => typeof t !== "string"))) {
+    errors.push("smsConfirmationTemplate must be a string or an object of strings by language");
+  }
+
+  // Optional keypad menu (see keypadMenu.js)
+  errors.push(...validateKeypadMenu(raw));
+
+  // Optional call recording (see callRecording.js)
+  errors.push(...validateRecordingSettings(raw));
+
+  // Optional warm-transfer settings (see callTransfer.js)
+  if (raw.transferNumber != null && typeof raw.transferNumber !== "string") {
+    errors.push("transferNumber must be a string");
+  }
+  if (raw.transferTimeoutSeconds != null && !(Number(raw.transferTimeoutSeconds) > 0)) {
+    errors.push("transferTimeoutSeconds must be a positive number");
+  }
+
+  // Optional voice settings (see voiceSettings.js)
+  for (const field of ["greeting", "language", "ttsVoice", "elevenLabsVoiceId"]) {
+    if (raw[field] != null && typeof raw[field] !== "string") {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, profile: null, errors };
+  }
+
+  const profile = {
+    ...raw,
+    timezone,
+    services: raw.services.map(s => ({
+      ...s,
+      durationMinutes: Number(s.durationMinutes),
+      price: s.price == null ? 0 : Number(s.price),
+      description: s.description || ""
+    })),
+    policies: {
+      cancellation: "",
+      location: "",
+      ...(raw.policies || {})
+    }
+  };
+
+  return { ok: true, profile, errors: [] };
+}
+
+// Fetch + validate one profile from core-api and cache it
+async function fetchBusinessProfile(businessId) {
+  const json = await getCoreApiJson(
+    `/internal/businesses/${encodeURIComponent(businessId)}/profile`,
+    { timeoutMs: PROFILE_FETCH_TIMEOUT_MS }
+  );
+
+  // Accept { profile }, { business } or the bare profile
+  const { ok, profile, errors } = validateBusinessProfile(json?.profile || json?.business || json);
+  if (!ok) {
+    throw new Error(`Invalid business profile for ${businessId}: ${errors.join("; ")}`);
+  }
+
+  profile.businessId = businessId;
+  profile.agentApiKey = profile.agentApiKey || process.env.BOOK8_AGENT_API_KEY;
+  profile.source = "core-api";
+
+  profileCache.set(businessId, profile);
+  return profile;
+}
+
+function refreshBusinessProfile(businessId) {
+  if (!inflight.has(businessId)) {
+    const request = fetchBusinessProfile(businessId).finally(() => inflight.delete(businessId));
+    inflight.set(businessId, request);
+  }
+  return inflight.get(businessId);
+}
+
+// The static profile, marked so callers/logs can tell it's not the real tenant
+function fallbackProfile(businessId) {
+  return {
+    ...BUSINESS_PROFILE,
+    businessId: businessId || null,
+    agentApiKey: process.env.BOOK8_AGENT_API_KEY,
+    source: "fallback"
+  };
+}
+
+/**
+ * Get the business profile for a resolved businessId.
+ * Never throws: falls back to the last good copy, then to the static profile.
+ */
+export async function getBusinessProfile(businessId) {
+  if (!businessId) {
+    console.warn("[PROFILE] No businessId given, using static fallback profile");
+    return fallbackProfile(null);
+  }
+
+  const cached = profileCache.getEntry(businessId);
+
+  if (cached && cached.ageMs < PROFILE_FRESH_MS) {
+    return cached.value;
+  }
+
+  if (cached) {
+    // Stale but usable: answer now, refresh in the background
+    refreshBusinessProfile(businessId).catch(err => {
+      console.error(`[PROFILE] Background refresh failed for ${businessId}:`, err.message);
+    });
+    return cached.value;
+  }
+
+  try {
+    return await refreshBusinessProfile(businessId);
+  } catch (err) {
+    console.error(`[PROFILE] Failed to load profile for ${businessId}, using static fallback:`, err.message);
+    return fallbackProfile(businessId);
+  }
+}
+
+/**
+ * The business's own profile, or null when only the static fallback is left
+ * (no businessId, or core-api couldn't provide one). The fallback belongs to
+ * another business, so per-business settings (voice, hours, transfers, ...)
+ * must not come from it; callers go on to BUSINESSES_BY_PHONE and defaults.
+ */
+export async function getOwnBusinessProfile(businessId) {
+  if (!businessId) return null;
+  const profile = await getBusinessProfile(businessId);
+  return profile.source === "fallback" ? null : profile;
+}
+
+// Drop a cached profile (e.g. after the business edits its settings)
+export function invalidateBusinessProfile(businessId) {
+  profileCache.delete(businessId);
+}
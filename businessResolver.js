@@ -0,0 +1,130 @@
+// businessResolver.js
+// Phone-number routing: which business owns the Twilio number that was called.
+//
+// Every call is routed via core-api GET /api/resolve?to=..., hardened with:
+// - an LRU cache (RESOLVE_CACHE_TTL_MS, default 10 min) so call pickup doesn't
+//   wait on core-api every time
+// - negative caching for numbers core-api doesn't know (shorter TTL)
+// - a per-request timeout and one retry for timeouts / network errors / 5xx
+// - a local fallback from BUSINESSES_BY_PHONE (businessConfig.js) when core-api
+//   can't be reached at all, or answers anything but 2xx / 404 (e.g. 401/403)
+// When a number is re-assigned, core-api (or ops) calls the admin invalidate
+// endpoint so the old mapping isn't served until the TTL runs out.
+import dotenv from "dotenv";
+import { CORE_API_BASE_URL } from "./coreApiClient.js";
+import { createLruCache } from "./lruCache.js";
+import { getLocalBusinessIdForPhone } from "./businessConfig.js";
+import { resolveDuration, coreApiDuration, statusClass } from "./metrics.js";
+
+dotenv.config();
+
+const RESOLVE_CACHE_TTL_MS = Number(process.env.RESOLVE_CACHE_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+const RESOLVE_NEGATIVE_TTL_MS = 60 * 1000;  // Unknown numbers are re-checked after 1 minute
+const RESOLVE_TIMEOUT_MS = 2500;
+const RESOLVE_MAX_ATTEMPTS = 2;
+const RESOLVE_RETRY_DELAY_MS = 200;
+
+// to -> businessId (null = core-api says the number isn't assigned)
+const resolveCache = createLruCache({ maxEntries: 5000, ttlMs: RESOLVE_CACHE_TTL_MS });
+
+// Thrown for failures worth retrying (timeout, network, 5xx)
+class TransientResolveError extends Error {}
+
+// Thrown for other non-2xx answers (401, 403, 400...): not retried and not
+// cached, but not "unassigned" either, so the local fallback still applies
+class RejectedResolveError extends Error {}
+
+// One GET /api/resolve. Returns businessId or null (404: number not assigned).
+async function fetchResolve(toPhone) {
+  // Call: GET {CORE_API_BASE_URL}/api/resolve?to=${encodeURIComponent(To)}
+  const url = `${CORE_API_BASE_URL}/api/resolve?to=${encodeURIComponent(toPhone)}`;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), RESOLVE_TIMEOUT_MS);
+  const endTimer = coreApiDuration.startTimer({ method: "GET", route: "/api/resolve" });
+  let status = null;
+
+  try {
+    const r = await fetch(url, { signal: controller.signal });
+    status = statusClass(r.status);
+
+    if (r.status === 404) return null;
+    if (r.status >= 500) {
+      throw new TransientResolveError(`Core API resolve failed: ${r.status} ${r.statusText}`);
+    }
+    if (!r.ok) {
+      throw new RejectedResolveError(`Core API resolve failed: ${r.status} ${r.statusText}`);
+    }
+
+    const json = await r.json();
+    // Response format: { businessId }
+    return json?.businessId || null;
+  } catch (err) {
+    status = status || (err.name === "AbortError" ? "timeout" : "error");
+    if (err instanceof TransientResolveError || err instanceof RejectedResolveError) throw err;
+    if (err.name === "AbortError") {
+      throw new TransientResolveError(`Core API resolve timed out after ${RESOLVE_TIMEOUT_MS} ms`);
+    }
+    throw new TransientResolveError(`Error calling core-api resolve: ${err.message}`);
+  } finally {
+    clearTimeout(timeoutId);
+    endTimer({ status });
+  }
+}
+
+/**
+ * Resolve the businessId for the Twilio number that was called.
+ * Never throws; returns null when the number isn't configured anywhere.
+ */
+export async function resolveBusinessByTo(toPhone) {
+  if (!toPhone) return null;
+  const endTimer = resolveDuration.startTimer();
+
+  const cached = resolveCache.getEntry(toPhone);
+  if (cached) {
+    endTimer({ result: "cache" });
+    return cached.value;
+  }
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= RESOLVE_MAX_ATTEMPTS; attempt++) {
+    try {
+      const businessId = await fetchResolve(toPhone);
+      resolveCache.set(toPhone, businessId, {
+        ttlMs: businessId ? RESOLVE_CACHE_TTL_MS : RESOLVE_NEGATIVE_TTL_MS
+      });
+      endTimer({ result: businessId ? "core_api" : "unresolved" });
+      return businessId;
+    } catch (err) {
+      lastError = err;
+      console.error(`[RESOLVE] Attempt ${attempt}/${RESOLVE_MAX_ATTEMPTS} failed for ${toPhone}:`, err.message);
+      if (err instanceof RejectedResolveError) break;
+      if (attempt < RESOLVE_MAX_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, RESOLVE_RETRY_DELAY_MS));
+      }
+    }
+  }
+
+  // core-api unreachable or erroring: use the local mapping, but don't cache it so the
+  // next call tries core-api again
+  const localBusinessId = getLocalBusinessIdForPhone(toPhone);
+  if (localBusinessId) {
+    console.warn(`[RESOLVE] core-api unavailable (${lastError?.message}); using local mapping for ${toPhone}: ${localBusinessId}`);
+    endTimer({ result: "local_fallback" });
+    return localBusinessId;
+  }
+
+  console.error(`[RESOLVE] Could not resolve business for ${toPhone}:`, lastError?.message);
+  endTimer({ result: "unresolved" });
+  return null;
+}
+
+// Drop cached routing for one number (or all numbers when toPhone is omitted).
+// Returns the number of entries removed.
+export function invalidateResolvedBusiness(toPhone) {
+  if (!toPhone) {
+    const count = resolveCache.size;
+    resolveCache.clear();
+    return count;
+  }
+  return resolveCache.delete(toPhone) ? 1 : 0;
+}
@@ -0,0 +1,192 @@
+// callLanguage.js
+// Languages the gateway can hold a call in, how to spot them, and the few
+// fixed phrases the gateway itself says (fillers, errors, the language menu).
+// Everything the agent says comes from the agent, told which language to use.
+
+// Built-in defaults per language; a business can override ttsVoice,
+// elevenLabsVoiceId and greeting per language (see voiceSettings.js)
+export const LANGUAGE_DEFAULTS = {
+  "en-US": {
+    name: "English",
+    ttsVoice: "Polly.Matthew-Neural",
+    greeting: "Hi, thanks for calling. How can I help you today?",
+    menuPrompt: (digit) => `For English, press ${digit}.`
+  },
+  "en-CA": {
+    name: "English",
+    ttsVoice: "Polly.Matthew-Neural",
+    greeting: "Hi, thanks for calling. How can I help you today?",
+    menuPrompt: (digit) => `For English, press ${digit}.`
+  },
+  "fr-CA": {
+    name: "French",
+    ttsVoice: "Polly.Gabrielle-Neural",
+    greeting: "Bonjour, merci de votre appel. Comment puis-je vous aider aujourd'hui?",
+    menuPrompt: (digit) => `Pour le service en français, appuyez sur le ${digit}.`
+  },
+  "fr-FR": {
+    name: "French",
+    ttsVoice: "Polly.Lea-Neural",
+    greeting: "Bonjour, merci de votre appel. Comment puis-je vous aider aujourd'hui ?",
+    menuPrompt: (digit) => `Pour le service en français, appuyez sur le ${digit}.`
+  },
+  "es-US": {
+    name: "Spanish",
+    ttsVoice: "Polly.Lupe-Neural",
+    greeting: "Hola, gracias por llamar. ¿En qué le puedo ayudar hoy?",
+    menuPrompt: (digit) => `Para español, oprima el ${digit}.`
+  },
+  "es-MX": {
+    name: "Spanish",
+    ttsVoice: "Polly.Mia-Neural",
+    greeting: "Hola, gracias por llamar. ¿En qué le puedo ayudar hoy?",
+    menuPrompt: (digit) => `Para español, oprima el ${digit}.`
+  }
+};
+
+// Gateway phrases by base language ("fr-CA" -> "fr"); English is the fallback
+const PHRASES = {
+  en: {
+    thinking: "Sure — one second.",
+    didNotCatch: "I'm sorry, I didn't quite catch that. Could you please repeat what you need?",
+    technicalIssue: "I'm sorry, I'm experiencing a technical issue. Please try calling again in a moment.",
+    unknownBusiness: "I'm sorry, I'm having trouble identifying your business. Please try calling again.",
+    notConfigured: "This number is not yet configured for a business. Goodbye.",
+    transferring: "Let me connect you with someone from the team. One moment, please.",
+    voicemailPrompt: "Sorry, nobody is available right now. Please leave your name, number and a short message after the tone.",
+    voicemailThanks: "Thank you. We'll get back to you as soon as possible. Goodbye.",
+    transferUnavailable: "Sorry, I can't transfer your call right now. Let's keep going, how can I help?",
+    whisperIntro: "Call transferred from your AI receptionist.",
+    closed: "Thanks for calling. We're closed right now.",
+    afterHoursMenu: "To book an appointment, press 1 or say book. To leave a message, press 2 or stay on the line.",
+    afterHoursBooking: "I can still help you book an appointment. What would you like to book?",
+    smsTechnicalIssue: "Sorry, something went wrong on our side. Please try again in a moment.",
+    reminderConfirmed: "Thank you, your appointment is confirmed. See you then. Goodbye.",
+    reminderCancelled: "Your appointment has been cancelled. Thank you for letting us know. Goodbye.",
+    reminderCancelRefused: "Sorry, this appointment is too close to cancel by phone. Please contact the business directly. Goodbye.",
+    reminderCancelFailed: "Sorry, I couldn't cancel your appointment. Please contact the business directly. Goodbye.",
+    reminderReschedule: "Sure, let's find a new time. What day and time would work better for you?",
+    reminderRetry: "Sorry, I didn't get that.",
+    reminderNoResponse: "We didn't get a response. Please call us if you need to make any changes. Goodbye.",
+    keypadEntryHint: "You can also type it on your keypad, then press the pound key.",
+    welcomeBack: "Welcome back, {name}!",
+    recordingNotice: "This call is recorded for quality and training purposes."
+  },
+  fr: {
+    thinking: "Bien sûr, un instant.",
+    didNotCatch: "Désolé, je n'ai pas bien compris. Pouvez-vous répéter, s'il vous plaît?",
+    technicalIssue: "Désolé, nous avons un problème technique. Veuillez rappeler dans un moment.",
+    unknownBusiness: "Désolé, je n'arrive pas à identifier l'entreprise. Veuillez rappeler.",
+    notConfigured: "Ce numéro n'est pas encore configuré. Au revoir.",
+    transferring: "Je vous mets en relation avec un membre de l'équipe. Un instant, s'il vous plaît.",
+    voicemailPrompt: "Désolé, personne n'est disponible pour le moment. Laissez votre nom, votre numéro et un court message après le signal sonore.",
+    voicemailThanks: "Merci. Nous vous rappellerons dès que possible. Au revoir.",
+    transferUnavailable: "Désolé, je ne peux pas transférer votre appel pour le moment. Continuons, comment puis-je vous aider?",
+    whisperIntro: "Appel transféré par votre réceptionniste virtuelle.",
+    closed: "Merci de votre appel. Nous sommes fermés en ce moment.",
+    afterHoursMenu: "Pour prendre rendez-vous, appuyez sur le 1 ou dites rendez-vous. Pour laisser un message, appuyez sur le 2 ou restez en ligne.",
+    afterHoursBooking: "Je peux quand même vous aider à prendre rendez-vous. Que souhaitez-vous réserver?",
+    smsTechnicalIssue: "Désolé, un problème est survenu de notre côté. Veuillez réessayer dans un moment.",
+    reminderConfirmed: "Merci, votre rendez-vous est confirmé. À bientôt. Au revoir.",
+    reminderCancelled: "Votre rendez-vous a été annulé. Merci de nous avoir prévenus. Au revoir.",
+    reminderCancelRefused: "Désolé, ce rendez-vous est trop proche pour être annulé par téléphone. Veuillez contacter l'entreprise directement. Au revoir.",
+    reminderCancelFailed: "Désolé, je n'ai pas pu annuler votre rendez-vous. Veuillez contacter l'entreprise directement. Au revoir.",
+    reminderReschedule: "Bien sûr, trouvons une autre heure. Quel jour et quelle heure vous conviendraient?",
+    reminderRetry: "Désolé, je n'ai pas compris.",
+    reminderNoResponse: "Nous n'avons pas reçu de réponse. Rappelez-nous si vous devez faire des changements. Au revoir.",
+    keypadEntryHint: "Vous pouvez aussi le composer sur le clavier, puis appuyer sur le carré.",
+    welcomeBack: "Rebonjour, {name}!",
+    recordingNotice: "Cet appel est enregistré à des fins de qualité et de formation."
+  },
+  es: {
+    thinking: "Claro, un momento.",
+    didNotCatch: "Lo siento, no le entendí bien. ¿Puede repetir lo que necesita?",
+    technicalIssue: "Lo siento, tenemos un problema técnico. Por favor, vuelva a llamar en un momento.",
+    unknownBusiness: "Lo siento, no puedo identificar el negocio. Por favor, vuelva a llamar.",
+    notConfigured: "Este número todavía no está configurado. Adiós.",
+    transferring: "Le comunico con alguien del equipo. Un momento, por favor.",
+    voicemailPrompt: "Lo siento, no hay nadie disponible ahora. Deje su nombre, número y un breve mensaje después del tono.",
+    voicemailThanks: "Gracias. Le llamaremos lo antes posible. Adiós.",
+    transferUnavailable: "Lo siento, no puedo transferir su llamada ahora. Sigamos, ¿en qué le puedo ayudar?",
+    whisperIntro: "Llamada transferida por su recepcionista virtual.",
+    closed: "Gracias por llamar. En este momento estamos cerrados.",
+    afterHoursMenu: "Para hacer una cita, oprima el 1 o diga cita. Para dejar un mensaje, oprima el 2 o permanezca en la línea.",
+    afterHoursBooking: "Aun así puedo ayudarle a hacer una cita. ¿Qué le gustaría reservar?",
+    smsTechnicalIssue: "Lo siento, algo salió mal de nuestro lado. Por favor, inténtelo de nuevo en un momento.",
+    reminderConfirmed: "Gracias, su cita está confirmada. Hasta pronto. Adiós.",
+    reminderCancelled: "Su cita ha sido cancelada. Gracias por avisarnos. Adiós.",
+    reminderCancelRefused: "Lo siento, esta cita está demasiado cerca para cancelarla por teléfono. Por favor, comuníquese directamente con el negocio. Adiós.",
+    reminderCancelFailed: "Lo siento, no pude cancelar su cita. Por favor, comuníquese directamente con el negocio. Adiós.",
+    reminderReschedule: "Claro, busquemos otra hora. ¿Qué día y hora le vendrían mejor?",
+    reminderRetry: "Lo siento, no le entendí.",
+    reminderNoResponse: "No recibimos respuesta. Llámenos si necesita hacer algún cambio. Adiós.",
+    keypadEntryHint: "También puede marcarlo en el teclado y luego oprimir la tecla de número.",
+    welcomeBack: "¡Qué gusto saludarle de nuevo, {name}!",
+    recordingNotice: "Esta llamada se graba con fines de calidad y capacitación."
+  }
+};
+
+export function baseLanguage(code) {
+  return String(code || "").split("-")[0].toLowerCase();
+}
+
+export function languageName(code) {
+  return LANGUAGE_DEFAULTS[code]?.name || code;
+}
+
+// "I'd like to book" / "rendez-vous" / "una cita": the caller wants to book
+const BOOKING_WORDS = /\b(book|booking|appointment|schedule|rendez-vous|réserver|cita|reservar)\b/i;
+
+export function wantsBooking(text) {
+  return BOOKING_WORDS.test(String(text || ""));
+}
+
+export function gatewayPhrase(language, key) {
+  return (PHRASES[baseLanguage(language)] || PHRASES.en)[key] || PHRASES.en[key];
+}
+
+// Pick the supported language matching a code ("fr", "fr-CA", "FR-ca").
+// Exact match first, then same base language. Returns null if none.
+export function matchLanguage(code, supported) {
+  if (!code) return null;
+  const lower = code.toLowerCase();
+  return supported.find(s => s.toLowerCase() === lower)
+    || supported.find(s => baseLanguage(s) === baseLanguage(lower))
+    || null;
+}
+
+// Common short words per base language, for a cheap first-utterance guess
+const STOPWORDS = {
+  en: ["the", "and", "i", "you", "to", "a", "is", "it", "my", "for", "hi", "hello", "want", "need", "book", "can", "appointment", "please", "yes", "what"],
+  fr: ["le", "la", "les", "je", "vous", "et", "un", "une", "est", "pour", "bonjour", "oui", "voudrais", "rendez-vous", "merci", "mon", "ma", "des", "avec", "pouvez", "c'est", "j'aimerais", "français"],
+  es: ["el", "la", "los", "yo", "usted", "y", "un", "una", "es", "para", "hola", "sí", "quiero", "cita", "gracias", "mi", "con", "puede", "necesito", "por", "favor", "español"]
+};
+
+/**
+ * Guess which supported language a transcript is in.
+ * Scores stopword hits per base language; needs at least two hits and a clear
+ * winner, otherwise returns null (keep the current language).
+ */
+export function detectLanguage(text, supported) {
+  const words = String(text || "").toLowerCase().match(/[\p{L}'-]+/gu) || [];
+  if (words.length === 0) return null;
+
+  let best = null;
+  let bestScore = 0;
+  let secondScore = 0;
+  for (const code of supported) {
+    const stopwords = STOPWORDS[baseLanguage(code)];
+    if (!stopwords) continue;
+    const score = words.filter(w => stopwords.includes(w)).length;
+    if (score > bestScore) {
+      secondScore = bestScore;
+      bestScore = score;
+      best = code;
+    } else if (score > secondScore && baseLanguage(code) !== baseLanguage(best)) {
+      secondScore = score;
+    }
+  }
+
+  if (bestScore < 2 || bestScore === secondScore) return null;
+  return best;
+}
@@ -0,0 +1,155 @@
+// callOutcome.js
+// What a call achieved, for core-api's dashboards. Sent with /internal/calls/end
+// as { outcome, summary, bookingIds }:
+//   outcome    - booked | rescheduled | cancelled | transferred | agent_error |
+//                abandoned_mid_booking | info_only (first match wins, in that order)
+//   summary    - one or two plain sentences ("Booked Haircut for 2026-05-02T15:00:00Z (bk_123).")
+//   bookingIds - bookings created during the call
+//
+// Built from the session: session.activity (updated after every agent turn by
+// noteAgentTurn) plus the transfer, reminder, voicemail and after-hours state.
+// Rescheduled / cancelled bookings and "booking in progress" come from the
+// agent's tool calls, so backends that don't report toolCalls only get booked /
+// transferred / agent_error / info_only.
+//
+// session.activity: { callerTurns, agentErrors, lastAgentFailed, bookingStarted,
+//   booked: [{ bookingId, start, serviceLabel }], rescheduled: [{ bookingId, newStart }],
+//   cancelled: [bookingId] }
+export const CALL_OUTCOMES = [
+  "booked",
+  "rescheduled",
+  "cancelled",
+  "transferred",
+  "agent_error",
+  "abandoned_mid_booking",
+  "info_only"
+];
+
+// Tools that mean the caller is getting a booking made or changed
+const BOOKING_TOOLS = ["check_availability", "book_appointment", "reschedule_appointment"];
+
+const FIRST_REQUEST_MAX_CHARS = 100;
+
+function emptyActivity() {
+  return {
+    callerTurns: 0,
+    agentErrors: 0,
+    lastAgentFailed: false,
+    bookingStarted: false,
+    booked: [],
+    rescheduled: [],
+    cancelled: []
+  };
+}
+
+// Tool results can arrive parsed (local backend) or as JSON text
+function toolSucceeded(call) {
+  let result = call.result;
+  if (typeof result === "string") {
+    try {
+      result = JSON.parse(result);
+    } catch {
+      return false;
+    }
+  }
+  return Boolean(result) && result.ok !== false && !result.error;
+}
+
+/**
+ * session.activity after one agent turn. agentResult is the backend's
+ * { success, bookings?, toolCalls? }.
+ */
+export function noteAgentTurn(activity, agentResult) {
+  const next = { ...emptyActivity(), ...activity };
+  next.callerTurns += 1;
+  next.lastAgentFailed = !agentResult.success;
+  if (!agentResult.success) {
+    next.agentErrors += 1;
+    return next;
+  }
+
+  next.booked = [
+    ...next.booked,
+    ...(agentResult.bookings || []).map(b => ({
+      bookingId: b.bookingId || null,
+      start: b.start || null,
+      serviceLabel: b.serviceLabel || null
+    }))
+  ];
+
+  for (const call of agentResult.toolCalls || []) {
+    const args = call.arguments || {};
+    if (BOOKING_TOOLS.includes(call.name)) next.bookingStarted = true;
+    if (!toolSucceeded(call)) continue;
+    if (call.name === "reschedule_appointment") {
+      next.rescheduled = [...next.rescheduled, { bookingId: args.bookingId || null, newStart: args.newStart || null }];
+    } else if (call.name === "cancel_appointment") {
+      next.cancelled = [...next.cancelled, args.bookingId || null];
+    }
+  }
+  return next;
+}
+
+// "Caller asked: "..."" from the first thing they said (or typed)
+function firstRequest(session) {
+  const text = (session.messages || []).find(m => m.role === "user")?.content;
+  if (!text) return null;
+  const short = text.length > FIRST_REQUEST_MAX_CHARS ? `${text.slice(0, FIRST_REQUEST_MAX_CHARS)}...` : text;
+  return `Caller asked: "${short}".`;
+}
+
+function describeBooking(b) {
+  const what = b.serviceLabel || "an appointment";
+  const when = b.start ? ` for ${b.start}` : "";
+  const id = b.bookingId ? ` (${b.bookingId})` : "";
+  return `Booked ${what}${when}${id}.`;
+}
+
+/**
+ * { outcome, summary, bookingIds } for an ended call. session may be null
+ * (never reached the gateway, or already cleaned up).
+ */
+export function classifyCallOutcome(session) {
+  const s = session || {};
+  const activity = { ...emptyActivity(), ...s.activity };
+  const reminder = s.reminder || null;
+
+  // A reminder answered with "cancel" cancels without the agent
+  const cancelled = [...activity.cancelled];
+  if (reminder?.outcome === "cancelled") cancelled.push(reminder.bookingId || null);
+  const bookingStarted = activity.bookingStarted || reminder?.outcome === "reschedule_requested";
+
+  let outcome;
+  if (activity.booked.length > 0) outcome = "booked";
+  else if (activity.rescheduled.length > 0) outcome = "rescheduled";
+  else if (cancelled.length > 0) outcome = "cancelled";
+  else if (s.transfer) outcome = "transferred";
+  else if (activity.lastAgentFailed) outcome = "agent_error";
+  else if (bookingStarted) outcome = "abandoned_mid_booking";
+  else outcome = "info_only";
+
+  const parts = [];
+  if (reminder) parts.push(`Reminder call for booking ${reminder.bookingId}: ${reminder.outcome || "no answer"}.`);
+  if (s.afterHours) parts.push("Called after hours.");
+  // Nothing done for them: say what they wanted
+  if (["agent_error", "abandoned_mid_booking", "info_only"].includes(outcome)) {
+    const request = firstRequest(s);
+    if (request) parts.push(request);
+  }
+  parts.push(...activity.booked.map(describeBooking));
+  parts.push(...activity.rescheduled.map(r => `Rescheduled ${r.bookingId || "a booking"}${r.newStart ? ` to ${r.newStart}` : ""}.`));
+  if (activity.cancelled.length > 0) parts.push(`Cancelled ${activity.cancelled.map(id => id || "a booking").join(", ")}.`);
+  if (s.transfer) {
+    parts.push(`Transferred to staff (${s.transfer.reason || "caller_request"})${s.transfer.status ? `: ${s.transfer.status}` : ""}.`);
+  }
+  if (s.voicemail) parts.push("Left a voicemail.");
+  if (outcome === "abandoned_mid_booking") parts.push("Hung up before the booking was made.");
+  if (activity.agentErrors > 0) parts.push(`Agent failed on ${activity.agentErrors} of ${activity.callerTurns} turn(s).`);
+  if (parts.length === 0) parts.push("Caller hung up before saying anything.");
+
+  return {
+    outcome,
+    summary: parts.join(" "),
+    bookingIds: activity.booked.map(b => b.bookingId).filter(Boolean)
+  };
+}
@@ -0,0 +1,53 @@
+// callRecording.js
+// Call recording for quality review, per business:
+//   recordingMode: "off" (default) | "announce" | "one_party"
+//     announce  - record, and tell the caller first (all-party-consent regions)
+//     one_party - record without an announcement (one-party-consent regions,
+//                 where the business itself is the consenting party)
+//   recordingAnnouncement: spoken instead of the default notice (announce mode)
+// Read from the business profile, else BUSINESSES_BY_PHONE by the number called.
+//
+// The whole call is recorded through the Twilio REST API, started from
+// /twilio/recording-start once the call is answered (/twilio/voice redirects
+// there before the greeting). Transfers to staff are recorded on the <Dial>
+// instead when that isn't running.
+// Twilio reports progress to /twilio/recording-status, which is forwarded to
+// core-api POST /internal/calls/recording.
+//
+// session.recording: { mode, status, recordingSid, startedAt, error }
+// status: "pending" until /twilio/recording-start, "starting" while the REST
+// request runs, "in-progress" once started, then what Twilio reports ("completed",
+// "absent", "failed"); "failed" when it couldn't be started
+import { getOwnBusinessProfile } from "./businessProfile.js";
+import { BUSINESSES_BY_PHONE } from "./businessConfig.js";
+
+export const RECORDING_MODES = ["off", "announce", "one_party"];
+
+/**
+ * Problems with a profile's recording settings, as strings for validateBusinessProfile().
+ */
+export function validateRecordingSettings(raw) {
+  const errors = [];
+  if (raw.recordingMode != null && !RECORDING_MODES.includes(raw.recordingMode)) {
+    errors.push(`recordingMode must be one of ${RECORDING_MODES.join(", ")}`);
+  }
+  if (raw.recordingAnnouncement != null && typeof raw.recordingAnnouncement !== "string") {
+    errors.push("recordingAnnouncement must be a string");
+  }
+  return errors;
+}
+
+/**
+ * Recording settings for a call to `to`, routed to `businessId`:
+ * { mode, announcement }. announcement is the business's own notice (null =
+ * use the default phrase). Never throws; defaults to "off".
+ */
+export async function getRecordingSettings({ businessId, to }) {
+  const profile = await getOwnBusinessProfile(businessId);
+  const phoneConfig = BUSINESSES_BY_PHONE[to];
+
+  const source = profile?.recordingMode ? profile : phoneConfig?.recordingMode ? phoneConfig : null;
+  const mode = RECORDING_MODES.includes(source?.recordingMode) ? source.recordingMode : "off";
+  return { mode, announcement: source?.recordingAnnouncement || null };
+}
+
@@ -0,0 +1,111 @@
+// callTranscript.js
+// Call transcripts for review (e.g. a disputed booking): every caller and agent
+// turn with timing, kept after the call ends. Sessions are deleted at call end,
+// so transcripts live in their own store (same SESSION_STORE backend, namespace
+// "transcript") for TRANSCRIPT_RETENTION_HOURS (default 72) after the last write.
+// At call end the transcript is pushed to core-api (POST /internal/calls/transcript);
+// until it expires here, GET /calls/:callSid/transcript serves it too.
+//
+// Turns are the record's messages (appended atomically on every backend):
+//   { role: "caller", at, text, source: "speech" | "stt" | "dtmf", confidence }
+//   { role: "agent", at, text, ok, latencyMs, toolCalls: [{ name, arguments, result }],
+//     transfer, playback }
+// playback is how the reply reached the caller, once known: "completed" |
+// "interrupted" | "unconfirmed" (Twilio <Say>, or still playing) | "failed"
+import { createSessionStore } from "./sessionStore.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+export const TRANSCRIPT_RETENTION_MS = (Number(process.env.TRANSCRIPT_RETENTION_HOURS) || 72) * HOUR_MS;
+
+const TOOL_RESULT_MAX_CHARS = 2000;  // Availability lists can be long
+
+// Tool results as stored: JSON, cut down to TOOL_RESULT_MAX_CHARS
+function compactResult(result) {
+  let json;
+  try {
+    json = JSON.stringify(result ?? null);
+  } catch {
+    json = String(result);
+  }
+  return json.length > TOOL_RESULT_MAX_CHARS ? `${json.slice(0, TOOL_RESULT_MAX_CHARS)}...` : json;
+}
+
+// The transcript as served and pushed to core-api
+export function buildTranscript(record) {
+  return {
+    callSid: record.id,
+    businessId: record.businessId,
+    from: record.from || null,
+    to: record.to || null,
+    direction: record.direction || "inbound",
+    startedAt: record.startedAt || new Date(record.createdAt).toISOString(),
+    endedAt: record.endedAt || null,
+    status: record.status || null,
+    turns: record.messages
+  };
+}
+
+export function createTranscriptStore({ kind, ttlMs = TRANSCRIPT_RETENTION_MS } = {}) {
+  const store = createSessionStore(kind, { namespace: "transcript", ttlMs });
+
+  return {
+    name: store.name,
+
+    // Call details, once per call (later calls are ignored)
+    async start(callSid, { businessId, from, to, direction = "inbound" }) {
+      const record = await store.getOrCreate(callSid);
+      if (record.startedAt) return;
+      await store.update(callSid, {
+        businessId: businessId || null,
+        from: from || null,
+        to: to || null,
+        direction,
+        startedAt: new Date().toISOString()
+      });
+    },
+
+    async addCallerTurn(callSid, { text, source = "speech", confidence = null }) {
+      const n = Number(confidence);
+      await store.appendMessage(callSid, {
+        role: "caller",
+        at: new Date().toISOString(),
+        text,
+        source,
+        confidence: confidence == null || isNaN(n) ? null : n
+      });
+    },
+
+    // Returns the agent turn's index, for setPlayback()
+    async addAgentTurn(callSid, { text, ok = true, latencyMs = null, toolCalls = [], transfer = null }) {
+      const count = await store.appendMessage(callSid, {
+        role: "agent",
+        at: new Date().toISOString(),
+        text,
+        ok,
+        latencyMs,
+        toolCalls: toolCalls.map(c => ({ name: c.name, arguments: c.arguments ?? null, result: compactResult(c.result) })),
+        transfer,
+        playback: null
+      });
+      return count - 1;
+    },
+
+    async setPlayback(callSid, turn, state) {
+      if (turn == null) return;
+      await store.updateMessage(callSid, turn, { playback: state });
+    },
+
+    async finish(callSid, { status }) {
+      const record = await store.get(callSid);
+      if (!record) return null;
+      const finished = await store.update(callSid, { endedAt: new Date().toISOString(), status });
+      return buildTranscript(finished);
+    },
+
+    // The transcript, or null if there is none (never recorded, or past retention)
+    async get(callSid) {
+      const record = await store.get(callSid);
+      return record ? buildTranscript(record) : null;
+    }
+  };
+}
@@ -0,0 +1,45 @@
+// callTransfer.js
+// Handing a call to a person at the business: where to dial and what to tell them.
+//
+// The staff number comes from the business profile (`transferNumber`), else
+// from BUSINESSES_BY_PHONE by the number that was called. Without one, calls
+// that ask for a person go straight to voicemail.
+//
+// session.transfer tracks the handoff for the call-end report:
+//   { reason, summary, requestedAt, status, dialStatus, dialDurationSeconds,
+//     voicemailRecordingUrl }
+// status: "requested" -> "connected" | "voicemail" | "unavailable"
+import { getOwnBusinessProfile } from "./businessProfile.js";
+import { BUSINESSES_BY_PHONE } from "./businessConfig.js";
+
+const DEFAULT_DIAL_TIMEOUT_SECONDS = 20;
+const SUMMARY_MAX_CHARS = 300;
+
+/**
+ * Transfer settings for a business: { number, timeoutSeconds }.
+ * number is null when the business has no staff line configured.
+ */
+export async function getTransferSettings({ businessId, to }) {
+  const profile = await getOwnBusinessProfile(businessId);
+  const phoneConfig = BUSINESSES_BY_PHONE[to];
+
+  const number = profile?.transferNumber || phoneConfig?.transferNumber || null;
+  const timeoutSeconds = Number(profile?.transferTimeoutSeconds || phoneConfig?.transferTimeoutSeconds)
+    || DEFAULT_DIAL_TIMEOUT_SECONDS;
+
+  return { number, timeoutSeconds };
+}
+
+// What staff hear before being connected: the agent's summary if it gave one,
+// else the caller's last few things said
+export function buildHandoffSummary(session) {
+  const summary = session?.transfer?.summary?.trim();
+  if (summary) return summary.slice(0, SUMMARY_MAX_CHARS);
+
+  const said = (session?.messages || [])
+    .filter(m => m.role === "user" && m.content)
+    .slice(-3)
+    .map(m => m.content.trim())
+    .join(" ... ");
+  return said ? `The caller said: ${said}`.slice(0, SUMMARY_MAX_CHARS) : "";
+}
@@ -0,0 +1,90 @@
+// callerLookup.js
+// Recognizes returning customers by caller ID, so the agent doesn't ask them
+// for details we already have and can greet them by name.
+//
+// core-api: GET /internal/businesses/:businessId/customers/lookup?phone=+1...
+//   { customer: { name, email, preferredService?, bookings: [{ bookingId, start, serviceLabel, status }] } }
+//   or { customer: null } / 404 for an unknown number.
+// Looked up once per call (and once per SMS conversation) and kept in the
+// session as `caller`: the profile below, or null when unknown.
+import { getCoreApiJson } from "./coreApiClient.js";
+
+const LOOKUP_TIMEOUT_MS = 1500;  // Runs while the caller waits for the greeting
+const MAX_BOOKINGS = 3;          // Per list, most relevant first
+
+// Caller IDs worth looking up: E.164 only (withheld numbers come through as "anonymous" etc.)
+const LOOKUP_NUMBER = /^\+\d{8,15}$/;
+
+// A real caller ID, not a withheld / unknown one
+export function isCallerIdNumber(phone) {
+  return LOOKUP_NUMBER.test(phone || "");
+}
+
+function toBooking(b) {
+  return {
+    bookingId: b.bookingId || b.id || null,
+    start: b.start,
+    serviceLabel: b.serviceLabel || b.service || null,
+    status: b.status || null
+  };
+}
+
+// Most-booked service, for customers core-api has no preference for
+function mostBookedService(bookings) {
+  const counts = new Map();
+  for (const b of bookings) {
+    if (b.serviceLabel) counts.set(b.serviceLabel, (counts.get(b.serviceLabel) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+/**
+ * Normalize core-api's customer record: { name, email, preferredService,
+ * upcomingBookings, pastBookings }. Cancelled bookings are left out.
+ */
+export function toCallerProfile(customer, now = new Date()) {
+  const bookings = (Array.isArray(customer.bookings) ? customer.bookings : [])
+    .map(toBooking)
+    .filter(b => !isNaN(Date.parse(b.start)) && b.status !== "cancelled");
+  const nowMs = now.getTime();
+
+  return {
+    name: customer.name || null,
+    email: customer.email || null,
+    preferredService: customer.preferredService || mostBookedService(bookings),
+    upcomingBookings: bookings
+      .filter(b => Date.parse(b.start) >= nowMs)
+      .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+      .slice(0, MAX_BOOKINGS),
+    pastBookings: bookings
+      .filter(b => Date.parse(b.start) < nowMs)
+      .sort((a, b) => Date.parse(b.start) - Date.parse(a.start))
+      .slice(0, MAX_BOOKINGS)
+  };
+}
+
+/**
+ * The customer profile for `phone` at a business, or null when the number is
+ * unknown, withheld, or core-api doesn't answer in time. Never throws.
+ */
+export async function lookupCaller({ businessId, phone }) {
+  if (!businessId || !isCallerIdNumber(phone)) return null;
+
+  try {
+    const json = await getCoreApiJson(
+      `/internal/businesses/${encodeURIComponent(businessId)}/customers/lookup?phone=${encodeURIComponent(phone)}`,
+      { timeoutMs: LOOKUP_TIMEOUT_MS }
+    );
+    return json?.customer ? toCallerProfile(json.customer) : null;
+  } catch (err) {
+    if (!/ 404 /.test(err.message)) {
+      console.warn(`[CALLER] Lookup for ${businessId} failed, treating caller as new: ${err.message}`);
+    }
+    return null;
+  }
+}
+
+// "Sam" from "Sam Lee", for greetings
+export function callerFirstName(caller) {
+  return caller?.name?.trim().split(/\s+/)[0] || null;
+}
@@ -0,0 +1,54 @@
+// coreApiClient.js
+// Shared config + helpers for calling book8-core-api from the gateway.
+import dotenv from "dotenv";
+import { coreApiDuration, coreApiRoute, statusClass } from "./metrics.js";
+
+dotenv.config();
+
+export const CORE_API_BASE_URL = process.env.CORE_API_BASE_URL || "https://book8-core-api.onrender.com";
+// Trim whitespace to prevent copy/paste issues
+export const CORE_API_INTERNAL_SECRET = (process.env.CORE_API_INTERNAL_SECRET || process.env.INTERNAL_API_SECRET)?.trim();
+
+// Headers for core-api /internal/* endpoints
+// CRITICAL: Core API strictly requires this exact header name: x-book8-internal-secret
+export function coreApiHeaders(extra = {}) {
+  return {
+    "Content-Type": "application/json",
+    ...(CORE_API_INTERNAL_SECRET ? { "x-book8-internal-secret": CORE_API_INTERNAL_SECRET } : {}),
+    ...extra
+  };
+}
+
+// GET a core-api path and parse JSON, aborting after timeoutMs.
+// Throws on network errors, timeouts and non-2xx responses.
+export async function getCoreApiJson(path, { timeoutMs = 3000 } = {}) {
+  const url = `${CORE_API_BASE_URL}${path}`;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const endTimer = coreApiDuration.startTimer({ method: "GET", route: coreApiRoute(path) });
+  let status = null;
+
+  try {
+    const res = await fetch(url, {
+      method: "GET",
+      headers: coreApiHeaders(),
+      signal: controller.signal
+    });
+    status = statusClass(res.status);
+
+    const text = await res.text();
+    if (!res.ok) {
+      throw new Error(`Core API GET ${path} failed: ${res.status} ${text.slice(0, 200)}`);
+    }
+    return text ? JSON.parse(text) : {};
+  } catch (err) {
+    status = status || (err.name === "AbortError" ? "timeout" : "error");
+    if (err.name === "AbortError") {
+      throw new Error(`Core API GET ${path} timed out after ${timeoutMs} ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timeoutId);
+    endTimer({ status });
+  }
+}
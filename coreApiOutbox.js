@@ -0,0 +1,369 @@
+// coreApiOutbox.js
+// Durable outbox for events the gateway owes core-api (call start/end for
+// billing, error reports to /internal/logs).
+//
+// Events are persisted first and delivered by a background worker, so a
+// core-api outage or a restart no longer loses a call:
+// - each event has an idempotency key (e.g. "CA123:call.end"), sent as the
+//   Idempotency-Key header and in the body; enqueueing the same key twice is a no-op
+// - failed deliveries (network, timeout, 408/429/5xx) retry with exponential
+//   backoff + jitter, up to OUTBOX_MAX_ATTEMPTS
+// - permanent failures (other 4xx) and exhausted retries move to the dead-letter
+//   list, which ops can inspect and replay via /admin/outbox
+// With several instances on a shared store two workers may race on one event;
+// the idempotency key lets core-api drop the duplicate.
+//
+// Record shape:
+//   { id, type, path, body, status: "pending" | "dead", attempts,
+//     nextAttemptAt, createdAt, lastError, lastStatus, deadAt }
+//
+// Backends (OUTBOX_STORE, else SESSION_STORE, else file):
+//   memory - process memory only (local development; a restart loses pending
+//            events, so it's logged loudly in production)
+//   file   - one JSON file per event in SESSION_STORE_DIR/outbox
+//   redis  - one hash at {prefix}:outbox, shared by every instance
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import path from "path";
+import { createClient } from "redis";
+import { CORE_API_BASE_URL, coreApiHeaders } from "./coreApiClient.js";
+import { createLruCache } from "./lruCache.js";
+import { coreApiDuration, coreApiRoute, statusClass } from "./metrics.js";
+
+dotenv.config();
+
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+const OUTBOX_BASE_DELAY_MS = 1000;
+const OUTBOX_MAX_DELAY_MS = 10 * 60 * 1000;   // 10 minutes
+const OUTBOX_POLL_INTERVAL_MS = 2000;
+const OUTBOX_DELIVERY_TIMEOUT_MS = 5000;
+const IS_PRODUCTION = process.env.NODE_ENV === "production" || !!process.env.RENDER;
+
+// ---------------------------------------------------------------------
+//  Stores: put(record), get(id), list(), delete(id), close()
+// ---------------------------------------------------------------------
+function createMemoryOutboxStore() {
+  const records = new Map();
+  return {
+    name: "memory",
+    async put(record) { records.set(record.id, { ...record }); },
+    async get(id) { const r = records.get(id); return r ? { ...r } : null; },
+    async list() { return [...records.values()].map(r => ({ ...r })); },
+    async delete(id) { records.delete(id); },
+    async close() {}
+  };
+}
+
+function createFileOutboxStore({ dir = process.env.SESSION_STORE_DIR || "./data/sessions" } = {}) {
+  const baseDir = path.join(dir, "outbox");
+  const ready = fs.mkdir(baseDir, { recursive: true });
+  const fileFor = (id) => path.join(baseDir, `${encodeURIComponent(id)}.json`);
+
+  const readFile = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  return {
+    name: "file",
+
+    async put(record) {
+      await ready;
+      const file = fileFor(record.id);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(record));
+      await fs.rename(tmp, file);
+    },
+
+    async get(id) {
+      await ready;
+      return readFile(fileFor(id));
+    },
+
+    async list() {
+      await ready;
+      const names = (await fs.readdir(baseDir)).filter(n => n.endsWith(".json"));
+      const records = await Promise.all(names.map(n => readFile(path.join(baseDir, n))));
+      return records.filter(Boolean);
+    },
+
+    async delete(id) {
+      await ready;
+      await fs.rm(fileFor(id), { force: true });
+    },
+
+    async close() {}
+  };
+}
+
+function createRedisOutboxStore({
+  url = process.env.REDIS_URL,
+  prefix = process.env.REDIS_KEY_PREFIX || "book8"
+} = {}) {
+  if (!url) {
+    throw new Error("REDIS_URL not configured");
+  }
+
+  const client = createClient({ url });
+  client.on("error", (err) => console.error("[OUTBOX] Redis error:", err.message));
+  const ready = client.connect();
+  const key = `${prefix}:outbox`;
+
+  return {
+    name: "redis",
+
+    async put(record) {
+      await ready;
+      await client.hSet(key, record.id, JSON.stringify(record));
+    },
+
+    async get(id) {
+      await ready;
+      const raw = await client.hGet(key, id);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async list() {
+      await ready;
+      return Object.values(await client.hGetAll(key)).map(raw => JSON.parse(raw));
+    },
+
+    async delete(id) {
+      await ready;
+      await client.hDel(key, id);
+    },
+
+    async close() {
+      await ready;
+      await client.close();
+    }
+  };
+}
+
+const STORE_FACTORIES = {
+  memory: createMemoryOutboxStore,
+  file: createFileOutboxStore,
+  redis: createRedisOutboxStore
+};
+
+// ---------------------------------------------------------------------
+//  Outbox
+// ---------------------------------------------------------------------
+// Statuses worth retrying; any other non-2xx is treated as permanent
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function backoffDelay(attempts) {
+  const delay = Math.min(OUTBOX_MAX_DELAY_MS, OUTBOX_BASE_DELAY_MS * 2 ** (attempts - 1));
+  // +/- 20% jitter so a recovering core-api isn't hit by every event at once
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * createCoreApiOutbox({ store })
+ * - enqueue({ type, path, body, idempotencyKey }) -> record (persisted before returning)
+ * - start() / stop(): background delivery worker
+ * - list({ status }), replay(id), replayDead(): inspection / recovery for ops
+ */
+export function createCoreApiOutbox({ store = process.env.OUTBOX_STORE || process.env.SESSION_STORE || "file" } = {}) {
+  const factory = STORE_FACTORIES[store];
+  if (!factory) {
+    throw new Error(`Unknown outbox store: ${store}`);
+  }
+  if (store === "memory" && IS_PRODUCTION) {
+    console.warn("[OUTBOX] ⚠️  Outbox is memory-backed in production: call start/end events not yet delivered are LOST on restart. Set OUTBOX_STORE=file or redis.");
+  }
+  const records = factory();
+
+  // Recently delivered keys, so a duplicate enqueue (e.g. Twilio retrying a
+  // webhook) after delivery doesn't send the event again
+  const delivered = createLruCache({ maxEntries: 5000, ttlMs: 60 * 60 * 1000 });
+  const delivering = new Set();
+  let timer = null;
+  let passRunning = false;
+
+  // Deliver one event. `queued` may be a stale copy (a worker pass's snapshot),
+  // so the stored record is re-read: already delivered, dead-lettered or not
+  // due yet means there's nothing to do
+  async function deliver(queued) {
+    if (delivering.has(queued.id) || delivered.has(queued.id)) return;
+    delivering.add(queued.id);
+
+    let record;
+    try {
+      record = await records.get(queued.id);
+    } catch (err) {
+      delivering.delete(queued.id);
+      throw err;
+    }
+    if (!record || record.status !== "pending" || record.nextAttemptAt > Date.now()) {
+      delivering.delete(queued.id);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), OUTBOX_DELIVERY_TIMEOUT_MS);
+    const endTimer = coreApiDuration.startTimer({ method: "POST", route: coreApiRoute(record.path) });
+    let status = null;
+    let error = null;
+
+    try {
+      const res = await fetch(`${CORE_API_BASE_URL}${record.path}`, {
+        method: "POST",
+        headers: coreApiHeaders({ "Idempotency-Key": record.id }),
+        body: JSON.stringify({ ...record.body, idempotencyKey: record.id }),
+        signal: controller.signal
+      });
+      status = res.status;
+      const text = await res.text();
+      if (!res.ok) error = `${res.status} ${text.slice(0, 200)}`;
+    } catch (err) {
+      error = err.name === "AbortError"
+        ? `timed out after ${OUTBOX_DELIVERY_TIMEOUT_MS} ms`
+        : err.message;
+    } finally {
+      clearTimeout(timeoutId);
+      endTimer({ status: statusClass(status, controller.signal.aborted ? "timeout" : "error") });
+    }
+
+    try {
+      if (!error) {
+        await records.delete(record.id);
+        delivered.set(record.id, true);
+        console.log(`[OUTBOX] Delivered ${record.type} (${record.id}) after ${record.attempts + 1} attempt(s)`);
+        return;
+      }
+
+      // Delivered (and removed) by another instance meanwhile: don't bring it back
+      if (!(await records.get(record.id))) return;
+
+      const attempts = record.attempts + 1;
+      const permanent = status !== null && !isRetryableStatus(status);
+
+      if (permanent || attempts >= OUTBOX_MAX_ATTEMPTS) {
+        await records.put({
+          ...record,
+          attempts,
+          status: "dead",
+          lastError: error,
+          lastStatus: status,
+          deadAt: Date.now()
+        });
+        console.error(`[OUTBOX] Dead-lettered ${record.type} (${record.id}) after ${attempts} attempt(s): ${error}`);
+        return;
+      }
+
+      const delayMs = backoffDelay(attempts);
+      await records.put({
+        ...record,
+        attempts,
+        lastError: error,
+        lastStatus: status,
+        nextAttemptAt: Date.now() + delayMs
+      });
+      console.warn(`[OUTBOX] Delivery of ${record.type} (${record.id}) failed (attempt ${attempts}/${OUTBOX_MAX_ATTEMPTS}): ${error}. Retrying in ${delayMs} ms`);
+    } catch (err) {
+      console.error(`[OUTBOX] Failed to update ${record.id} after delivery attempt:`, err.message);
+    } finally {
+      delivering.delete(record.id);
+    }
+  }
+
+  // One pass at a time: a slow pass isn't overlapped by the next tick
+  async function processDue() {
+    if (passRunning) return;
+    passRunning = true;
+    try {
+      const now = Date.now();
+      const due = (await records.list())
+        .filter(r => r.status === "pending" && r.nextAttemptAt <= now)
+        .sort((a, b) => a.createdAt - b.createdAt);
+      for (const record of due) {
+        await deliver(record);
+      }
+    } catch (err) {
+      console.error("[OUTBOX] Worker pass failed:", err.message);
+    } finally {
+      passRunning = false;
+    }
+  }
+
+  return {
+    store: records.name,
+
+    async enqueue({ type, path: eventPath, body, idempotencyKey }) {
+      const id = idempotencyKey;
+      if (delivered.has(id)) {
+        console.log(`[OUTBOX] ${type} (${id}) already delivered, skipping`);
+        return null;
+      }
+      const existing = await records.get(id);
+      if (existing) {
+        console.log(`[OUTBOX] ${type} (${id}) already queued, skipping`);
+        return existing;
+      }
+
+      const now = Date.now();
+      const record = {
+        id,
+        type,
+        path: eventPath,
+        body,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+        lastError: null,
+        lastStatus: null
+      };
+      await records.put(record);
+
+      // First attempt right away; the worker picks it up again on failure
+      deliver(record).catch(err => console.error(`[OUTBOX] Delivery of ${id} crashed:`, err.message));
+      return record;
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(processDue, OUTBOX_POLL_INTERVAL_MS);
+      timer.unref();
+    },
+
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await records.close();
+    },
+
+    async list({ status } = {}) {
+      const all = await records.list();
+      return all
+        .filter(r => !status || r.status === status)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    // Move one record back to pending and try it now. Returns false if unknown.
+    async replay(id) {
+      const record = await records.get(id);
+      if (!record) return false;
+      const reset = { ...record, status: "pending", attempts: 0, nextAttemptAt: Date.now(), deadAt: null };
+      await records.put(reset);
+      console.log(`[OUTBOX] Replaying ${record.type} (${id})`);
+      deliver(reset).catch(err => console.error(`[OUTBOX] Delivery of ${id} crashed:`, err.message));
+      return true;
+    },
+
+    async replayDead() {
+      const dead = (await records.list()).filter(r => r.status === "dead");
+      for (const record of dead) {
+        await this.replay(record.id);
+      }
+      return dead.length;
+    }
+  };
+}
@@ -5,19 +5,91 @@ import cors from "cors";
 import twilio from "twilio";
 import { WebSocketServer } from "ws";
 import { createServer } from "http";
+import os from "os";
+import { createFrameSplitter, decodeMulaw, FRAME_MS, MULAW_FRAME_BYTES } from "./audioCodec.js";
+import { createSttProvider } from "./sttProvider.js";
+import { createVad } from "./vad.js";
+import {
+  PLAYBACK_SPEAKING,
+  getPlaybackState,
+  startUtterance,
+  cancelUtterance,
+  handleMark,
+  interruptPlaybackState,
+  waitForPlayback,
+  clearPlaybackState
+} from "./playbackState.js";
+import { createSessionStore } from "./sessionStore.js";
+import { createTranscriptStore, TRANSCRIPT_RETENTION_MS } from "./callTranscript.js";
+import { classifyCallOutcome, noteAgentTurn } from "./callOutcome.js";
+import { getMediaStreamUrl, getPublicBaseUrl, requireTwilioSignature, verifyTwilioWebSocket } from "./twilioSignature.js";
+import { redirectCall, startCallRecording } from "./twilioClient.js";
+import { buildHandoffSummary, getTransferSettings } from "./callTransfer.js";
+import { getBusinessHoursStatus } from "./businessHours.js";
+import { sendBookingConfirmation } from "./bookingConfirmation.js";
+import { callerFirstName, lookupCaller } from "./callerLookup.js";
+import { getRecordingSettings } from "./callRecording.js";
+import {
+  DIGIT_COLLECTION,
+  describeKeypadEntry,
+  describeKeypadPress,
+  digitCollectionFor,
+  getKeypadMenu,
+  keypadMenuPrompt
+} from "./keypadMenu.js";
+import {
+  MAX_BATCH_REMINDERS,
+  cancelRemindedBooking,
+  getReminderScript,
+  parseReminderAnswer,
+  placeReminderCall,
+  validateReminderRequest
+} from "./outboundReminder.js";
+import { requireInternalSecret } from "./internalAuth.js";
+import { resolveBusinessByTo, invalidateResolvedBusiness } from "./businessResolver.js";
+import { createCoreApiOutbox } from "./coreApiOutbox.js";
+import { createAgentBackends } from "./agentBackend.js";
+import {
+  ELEVENLABS_AGENT_ID,
+  getDefaultVoiceSettings,
+  getVoiceSettings,
+  sayAttributes,
+  withLanguage
+} from "./voiceSettings.js";
+import {
+  baseLanguage,
+  detectLanguage,
+  gatewayPhrase,
+  LANGUAGE_DEFAULTS,
+  matchLanguage,
+  wantsBooking
+} from "./callLanguage.js";
+import { CORE_API_BASE_URL, CORE_API_INTERNAL_SECRET } from "./coreApiClient.js";
+import {
+  activeMediaStreams,
+  agentDuration,
+  businessLabel,
+  callsTotal,
+  countSessionsWith,
+  mediaStreamDisconnectsTotal,
+  registry as metricsRegistry,
+  ttsFailuresTotal,
+  ttsFirstChunkDuration,
+  ttsStreamDuration,
+  turnsTotal
+} from "./metrics.js";
 
 dotenv.config();
 
 // --- ENV ---
 const PORT = process.env.PORT || 10000;
-const CORE_API_BASE_URL = process.env.CORE_API_BASE_URL || "https://book8-core-api.onrender.com";
-// Trim whitespace to prevent copy/paste issues
-const CORE_API_INTERNAL_SECRET = (process.env.CORE_API_INTERNAL_SECRET || process.env.INTERNAL_API_SECRET)?.trim();
 
 // ElevenLabs TTS Configuration
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-const ELEVENLABS_AGENT_ID = process.env.ELEVENLABS_AGENT_ID || "agent_1301kd4p9ks6et4rm4xpzecsx5";
 const ELEVENLABS_BASE_URL = "https://api.elevenlabs.io/v1";
+// Ask ElevenLabs for telephony-native audio so it can go straight to Twilio
+// (Media Streams only accept 8 kHz mono mu-law)
+const ELEVENLABS_OUTPUT_FORMAT = "ulaw_8000";
 
 if (!ELEVENLABS_API_KEY) {
   console.error("[FATAL] ELEVENLABS_API_KEY is not set. ElevenLabs TTS is required for voice gateway.");
@@ -42,6 +114,10 @@ if (!CORE_API_INTERNAL_SECRET) {
 const app = express();
 app.use(cors());
 
+// Render terminates TLS at its proxy; trust X-Forwarded-* so req.protocol/req.ip
+// reflect the original request (needed to rebuild URLs for Twilio signatures)
+app.set("trust proxy", true);
+
 // Twilio posts as x-www-form-urlencoded by default:
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
@@ -53,55 +129,33 @@ const { twiml: Twiml } = twilio;
 const VoiceResponse = Twiml.VoiceResponse;
 
 // Helper: where to send text to the agent
-// Use VOICE_AGENT_BASE_URL (base URL without path) and construct full URL
-const VOICE_AGENT_BASE_URL = process.env.VOICE_AGENT_BASE_URL;
-
-if (!VOICE_AGENT_BASE_URL) {
-  console.error("[FATAL] VOICE_AGENT_BASE_URL environment variable is required!");
-  console.error("[FATAL] Please set VOICE_AGENT_BASE_URL to the base URL of the voice-agent service");
-  console.error("[FATAL] Example: https://book8-voice-agent-1.onrender.com");
+// AGENT_BACKEND picks the deployment default (http | local | mock, see
+// agentBackend.js); a business profile can override it with `agentBackend`.
+let agentBackends;
+try {
+  agentBackends = createAgentBackends();
+} catch (err) {
+  console.error("[FATAL] Agent backend could not be configured:", err.message);
+  if (!process.env.VOICE_AGENT_BASE_URL) {
+    console.error("[FATAL] Please set VOICE_AGENT_BASE_URL to the base URL of the voice-agent service");
+    console.error("[FATAL] Example: https://book8-voice-agent-1.onrender.com");
+    console.error("[FATAL] Or set AGENT_BACKEND=local (in-process agent) or AGENT_BACKEND=mock");
+  }
   process.exit(1);
 }
 
-// Construct full agent URL
-const VOICE_AGENT_URL = `${VOICE_AGENT_BASE_URL}/api/agent-chat`;
-
-// Log resolved URL at startup
+// Log resolved backend at startup
 console.log("[STARTUP] Voice Agent Configuration:");
-console.log("[STARTUP]   VOICE_AGENT_BASE_URL:", VOICE_AGENT_BASE_URL);
-console.log("[STARTUP]   VOICE_AGENT_URL:", VOICE_AGENT_URL);
-
-// Business resolver from core API
-// Route every call via core-api resolve
-async function resolveBusinessByTo(toPhone) {
-  if (!toPhone) return null;
-
-  // Call: GET {CORE_API_BASE_URL}/api/resolve?to=${encodeURIComponent(To)}
-  const url = `${CORE_API_BASE_URL}/api/resolve?to=${encodeURIComponent(toPhone)}`;
-  
-  try {
-    const r = await fetch(url);
-    if (!r.ok) {
-      console.error(`Core API resolve failed: ${r.status} ${r.statusText}`);
-      return null;
-    }
-
-    const json = await r.json();
-    // Response format: { businessId }
-    return json?.businessId || null;
-  } catch (err) {
-    console.error("Error calling core-api resolve:", err);
-    return null;
-  }
+console.log("[STARTUP]   Agent backend:", agentBackends.default.name);
+if (agentBackends.default.url) {
+  console.log("[STARTUP]   VOICE_AGENT_URL:", agentBackends.default.url);
 }
 
-// TTS Voice configuration
-const DEFAULT_TTS_VOICE = process.env.TWILIO_TTS_VOICE || "Polly.Matthew-Neural";
-// Other nice options: "Polly.Joanna-Neural", "Polly.Kendra-Neural", "Polly.Joey-Neural", "Polly.Salli-Neural"
-
 // ElevenLabs Streaming TTS Helper
-// Streams text to ElevenLabs and returns audio chunks as they arrive
-async function* streamElevenLabsTTS(text, agentId = ELEVENLABS_AGENT_ID, maxRetries = 3) {
+// Streams text to ElevenLabs and returns raw mu-law (8 kHz) chunks as they arrive.
+// Chunks are not frame-aligned; see createFrameSplitter() in audioCodec.js
+// Pass an AbortSignal to stop the download (e.g. on barge-in); aborts are not retried
+async function* streamElevenLabsTTS(text, agentId = ELEVENLABS_AGENT_ID, { maxRetries = 3, signal } = {}) {
   if (!ELEVENLABS_API_KEY) {
     throw new Error("ELEVENLABS_API_KEY not configured");
   }
@@ -109,12 +163,12 @@ async function* streamElevenLabsTTS(text, agentId = ELEVENLABS_AGENT_ID, maxRetr
   let attempt = 0;
   while (attempt < maxRetries) {
     try {
-      const url = `${ELEVENLABS_BASE_URL}/text-to-speech/${agentId}/stream`;
+      const url = `${ELEVENLABS_BASE_URL}/text-to-speech/${agentId}/stream?output_format=${ELEVENLABS_OUTPUT_FORMAT}`;
       
       const response = await fetch(url, {
         method: "POST",
         headers: {
-          "Accept": "audio/mpeg",
+          "Accept": "audio/basic",
           "Content-Type": "application/json",
           "xi-api-key": ELEVENLABS_API_KEY
         },
@@ -127,7 +181,8 @@ async function* streamElevenLabsTTS(text, agentId = ELEVENLABS_AGENT_ID, maxRetr
             style: 0.0,
             use_speaker_boost: true
           }
-        })
+        }),
+        signal
       });
 
       if (!response.ok) {
@@ -137,7 +192,6 @@ async function* streamElevenLabsTTS(text, agentId = ELEVENLABS_AGENT_ID, maxRetr
 
       // Stream audio chunks as they arrive
       const reader = response.body.getReader();
-      const decoder = new TextDecoder();
 
       try {
         while (true) {
@@ -150,6 +204,10 @@ async function* streamElevenLabsTTS(text, agentId = ELEVENLABS_AGENT_ID, maxRetr
         reader.releaseLock();
       }
     } catch (err) {
+      if (signal?.aborted) {
+        throw err; // Interrupted on purpose - don't retry
+      }
+
       attempt++;
       console.error(`[ELEVENLABS] Attempt ${attempt}/${maxRetries} failed:`, err.message);
       
@@ -164,35 +222,28 @@ async function* streamElevenLabsTTS(text, agentId = ELEVENLABS_AGENT_ID, maxRetr
 }
 
 // Store active Media Stream connections (keyed by CallSid)
+// Value: { ws, streamSid, businessId } - Twilio requires the streamSid on every
+// outbound message; businessId labels the call's TTS metrics
 const mediaStreams = new Map();
 
-// Helper: Send audio chunk to Twilio Media Stream
-// Note: Twilio Media Streams expect mu-law PCM audio (8kHz, 8-bit, mono)
-// ElevenLabs returns MP3, so we need to handle conversion or use a different approach
-// For now, we'll buffer the MP3 and note that conversion may be needed
-function sendAudioToMediaStream(callSid, audioChunk) {
+// Helper: Send one 20 ms mu-law frame to Twilio Media Stream
+// Format: {"event": "media", "streamSid": "...", "media": {"payload": "<base64>"}}
+function sendAudioToMediaStream(callSid, frame) {
   const stream = mediaStreams.get(callSid);
-  if (!stream || stream.readyState !== 1) { // WebSocket.OPEN = 1
+  if (!stream || stream.ws.readyState !== 1) { // WebSocket.OPEN = 1
     console.warn(`[MEDIA-STREAM] No active stream for CallSid: ${callSid}`);
     return false;
   }
 
   try {
-    // Twilio Media Stream expects base64-encoded mu-law PCM audio
-    // Format: {"event": "media", "media": {"payload": "<base64>"}}
-    // 
-    // IMPORTANT: ElevenLabs returns MP3, but Twilio expects PCM
-    // For now, we'll send the MP3 and let Twilio handle it (may not work perfectly)
-    // TODO: Convert MP3 to mu-law PCM (8kHz, 8-bit, mono) for proper streaming
-    // This would require ffmpeg or a similar audio processing library
-    const base64Audio = Buffer.from(audioChunk).toString('base64');
     const message = JSON.stringify({
       event: "media",
+      streamSid: stream.streamSid,
       media: {
-        payload: base64Audio
+        payload: Buffer.from(frame).toString("base64")
       }
     });
-    stream.send(message);
+    stream.ws.send(message);
     return true;
   } catch (err) {
     console.error(`[MEDIA-STREAM] Error sending audio to CallSid ${callSid}:`, err);
@@ -200,61 +251,224 @@ function sendAudioToMediaStream(callSid, audioChunk) {
   }
 }
 
+// Audio currently being streamed to each call (keyed by CallSid), so the caller
+// can interrupt it. Value: { text, messageIndex, controller, frameCount, firstFrameAt,
+// downloadDone, superseded, finished } (finished: promise, settles when it stops sending)
+// Whether it is still audible comes from the mark-based state in playbackState.js
+const activePlayback = new Map();
+
+// Rough speaking rate, used to guess how much of a reply was heard when it is
+// cut off before ElevenLabs has sent all of the audio
+const TTS_MS_PER_CHAR = 65;
+
+// Helper: Estimate the part of the reply text the caller heard before it was cut off
+function estimateHeardText(playback) {
+  if (!playback.firstFrameAt) return "";
+
+  const sentMs = playback.frameCount * FRAME_MS;
+  const heardMs = Math.min(Date.now() - playback.firstFrameAt, sentMs);
+  const totalMs = playback.downloadDone
+    ? sentMs
+    : Math.max(sentMs, playback.text.length * TTS_MS_PER_CHAR);
+
+  if (heardMs >= totalMs) return playback.text;
+
+  // Cut proportionally, backing up to the last full word
+  const cut = Math.floor((playback.text.length * heardMs) / totalMs);
+  const lastSpace = playback.text.lastIndexOf(" ", cut);
+  return playback.text.slice(0, Math.max(lastSpace, 0)).trim();
+}
+
+// Helper: Barge-in - stop streamed TTS because the caller started talking
+// - tells Twilio to drop any audio it has buffered ("clear")
+// - aborts the ElevenLabs download
+// - records in the session how much of the reply was actually heard
+// Returns true if something was interrupted
+function interruptPlayback(callSid) {
+  const playback = activePlayback.get(callSid);
+  if (!playback || getPlaybackState(callSid) !== PLAYBACK_SPEAKING) return false;
+
+  activePlayback.delete(callSid);
+  playback.controller.abort();
+  interruptPlaybackState(callSid);
+
+  const stream = mediaStreams.get(callSid);
+  if (stream && stream.ws.readyState === 1) {
+    stream.ws.send(JSON.stringify({ event: "clear", streamSid: stream.streamSid }));
+  }
+
+  const heardText = estimateHeardText(playback);
+  console.log(`[BARGE-IN] Caller interrupted CallSid ${callSid}; heard: "${heardText}"`);
+
+  const writes = [
+    saveSession(callSid, {
+      lastInterruption: {
+        at: Date.now(),
+        spokenText: playback.text,
+        heardText
+      }
+    })
+  ];
+  // Only agent replies are annotated (greetings/fillers aren't in the history)
+  if (playback.messageIndex != null) {
+    writes.push(sessionStore.updateMessage(callSid, playback.messageIndex, { interrupted: true, heard: heardText }));
+  }
+  Promise.all(writes).catch(err => {
+    console.error(`[BARGE-IN] Failed to record interruption for CallSid ${callSid}:`, err);
+  });
+
+  return true;
+}
+
+// Helper: Send a "mark" after queued audio; Twilio echoes it back once played
+function sendMarkToMediaStream(callSid, markName) {
+  const stream = mediaStreams.get(callSid);
+  if (!stream || stream.ws.readyState !== 1) return false;
+
+  stream.ws.send(JSON.stringify({
+    event: "mark",
+    streamSid: stream.streamSid,
+    mark: { name: markName }
+  }));
+  return true;
+}
+
 // Helper: Stream ElevenLabs TTS to Twilio Media Stream
-async function streamElevenLabsToTwilio(callSid, text, retryOnFailure = true) {
+// Re-frames the ElevenLabs byte stream into 20 ms (160 byte) mu-law frames.
+// Options:
+// - messageIndex: index of the session message being spoken, annotated if the caller interrupts
+// - retryOnFailure: retry once if the media stream isn't up yet
+// - voiceId: the business's ElevenLabs voice (defaults to ELEVENLABS_AGENT_ID)
+// One stream per call at a time: one still sending (e.g. the "thinking" filler
+// when the reply is ready) is cut off and waited for, so frames never interleave.
+// What it already sent still plays first
+async function streamElevenLabsToTwilio(callSid, text, { messageIndex = null, retryOnFailure = true, voiceId = ELEVENLABS_AGENT_ID } = {}) {
   if (!ELEVENLABS_API_KEY) {
     console.warn("[ELEVENLABS] API key not set, cannot stream TTS");
     return { success: false, error: "ELEVENLABS_API_KEY not configured" };
   }
 
+  const previous = activePlayback.get(callSid);
+  if (previous && !previous.downloadDone) {
+    previous.superseded = true;
+    previous.controller.abort();
+    await previous.finished;
+  }
+
+  let finish;
+  const playback = {
+    text,
+    messageIndex,
+    controller: new AbortController(),
+    frameCount: 0,
+    firstFrameAt: null,
+    downloadDone: false,
+    superseded: false,
+    finished: new Promise(resolve => { finish = resolve; })
+  };
+  activePlayback.set(callSid, playback);
+  // Marks the call as speaking right away, so webhooks waiting on playback
+  // don't slip through before the first frame goes out
+  const markName = startUtterance(callSid);
+
+  const business = businessLabel(mediaStreams.get(callSid)?.businessId);
+  const startedAt = Date.now();
+  let firstChunk = true;
+  const observeStream = (outcome) => ttsStreamDuration.observe({ business, outcome }, (Date.now() - startedAt) / 1000);
+
+  const sendFrame = (frame) => {
+    if (!sendAudioToMediaStream(callSid, frame)) return false;
+    if (!playback.firstFrameAt) playback.firstFrameAt = Date.now();
+    playback.frameCount++;
+    return true;
+  };
+
   try {
-    let chunkCount = 0;
-    for await (const audioChunk of streamElevenLabsTTS(text, ELEVENLABS_AGENT_ID)) {
-      const sent = sendAudioToMediaStream(callSid, audioChunk);
-      if (sent) {
-        chunkCount++;
-      } else {
+    const splitter = createFrameSplitter(MULAW_FRAME_BYTES);
+    const signal = playback.controller.signal;
+
+    for await (const audioChunk of streamElevenLabsTTS(text, voiceId, { signal })) {
+      if (firstChunk) {
+        firstChunk = false;
+        ttsFirstChunkDuration.observe({ business }, (Date.now() - startedAt) / 1000);
+      }
+      for (const frame of splitter.push(audioChunk)) {
+        if (sendFrame(frame)) continue;
+
         // Stream connection lost
         console.warn(`[ELEVENLABS] Media stream lost for CallSid: ${callSid}`);
-        if (retryOnFailure) {
-          // Wait a bit and retry
+        cancelUtterance(callSid, markName);
+        if (retryOnFailure && playback.frameCount === 0) {
+          // Nothing played yet (stream may still be starting) - wait a bit and retry once
+          finish();
           await new Promise(resolve => setTimeout(resolve, 100));
-          return await streamElevenLabsToTwilio(callSid, text, false); // Retry once
+          return await streamElevenLabsToTwilio(callSid, text, { messageIndex, retryOnFailure: false, voiceId });
         }
+        observeStream("failed");
         return { success: false, error: "Media stream connection lost" };
       }
     }
+
+    // Pad and send whatever is left over as a final frame
+    const lastFrame = splitter.flush();
+    if (lastFrame) sendFrame(lastFrame);
+    playback.downloadDone = true;
+
+    // Playback counts as finished when Twilio echoes this mark
+    if (playback.frameCount === 0 || !sendMarkToMediaStream(callSid, markName)) {
+      cancelUtterance(callSid, markName);
+    }
     
-    console.log(`[ELEVENLABS] Successfully streamed ${chunkCount} audio chunks for CallSid: ${callSid}`);
-    return { success: true, chunkCount };
+    console.log(`[ELEVENLABS] Successfully streamed ${playback.frameCount} audio frames (${playback.frameCount * FRAME_MS} ms) for CallSid: ${callSid}`);
+    observeStream("completed");
+    return { success: true, frameCount: playback.frameCount };
   } catch (err) {
+    if (playback.superseded) {
+      cancelUtterance(callSid, markName);
+      console.log(`[ELEVENLABS] Stream cut short by the next one for CallSid: ${callSid}`);
+      observeStream("interrupted");
+      return { success: false, superseded: true, error: "Superseded by the next utterance" };
+    }
+    if (playback.controller.signal.aborted) {
+      console.log(`[ELEVENLABS] Stream interrupted by caller for CallSid: ${callSid}`);
+      observeStream("interrupted");
+      return { success: false, interrupted: true, error: "Interrupted by caller" };
+    }
+
+    cancelUtterance(callSid, markName);
+    observeStream("failed");
+    ttsFailuresTotal.inc({ business });
+
     console.error(`[ELEVENLABS] Error streaming TTS for CallSid ${callSid}:`, err);
     
-    // Surface error to ops logs
-    try {
-      // Log to core-api if available (optional - don't fail if this fails)
-      await fetch(`${CORE_API_BASE_URL}/internal/logs`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          ...(CORE_API_INTERNAL_SECRET ? { "x-book8-internal-secret": CORE_API_INTERNAL_SECRET } : {})
-        },
-        body: JSON.stringify({
-          level: "error",
-          service: "voice-gateway",
-          message: "ElevenLabs TTS streaming failed",
-          callSid: callSid,
-          error: err.message
-        })
-      }).catch(() => {}); // Ignore errors
-    } catch (logErr) {
-      // Ignore logging errors
-    }
+    // Surface error to ops logs (delivered via the outbox; never blocks the call)
+    outbox.enqueue({
+      type: "log.tts_error",
+      path: "/internal/logs",
+      idempotencyKey: `${callSid}:log.tts_error:${Date.now()}`,
+      body: {
+        level: "error",
+        service: "voice-gateway",
+        message: "ElevenLabs TTS streaming failed",
+        callSid: callSid,
+        error: err.message
+      }
+    }).catch(enqueueErr => console.error("[OUTBOX] Failed to enqueue TTS error log:", enqueueErr.message));
     
     return { success: false, error: err.message };
+  } finally {
+    finish();
   }
 }
 
+// Twilio drops a webhook after 15 s; waiting on playback must fit inside that
+const WEBHOOK_BUDGET_MS = 12000;
+
+// Helper: How long a webhook can still wait for streamed playback to finish
+function playbackWaitBudget(handlerStartedAt) {
+  return Math.max(0, WEBHOOK_BUDGET_MS - (Date.now() - handlerStartedAt));
+}
+
 // Helper: Clean and shorten text for phone conversations
 function toPhoneSentence(text) {
   if (!text) {
@@ -278,132 +492,450 @@ function toPhoneSentence(text) {
   return clean.trim();
 }
 
-// Helper: Safe agent call with timeout and comprehensive error handling
-// Returns { success: boolean, reply: string, error?: string }
-async function callAgentSafely(agentBody, callSid, businessId) {
-  const AGENT_TIMEOUT_MS = 10000; // 10 seconds
+// Helper: Clean agent text for SMS. Unlike toPhoneSentence, keeps every
+// detail; just drops markdown and stays within Twilio's 1600-character limit
+const SMS_MAX_CHARS = 1600;
+
+function toSmsText(text) {
+  if (!text) {
+    return "Sorry, I didn't get that. Could you send it again?";
+  }
+
+  let clean = text
+    .replace(/\*\*/g, "")
+    .replace(/[_`]/g, "")
+    .replace(/^#+\s*/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  if (clean.length > SMS_MAX_CHARS) {
+    clean = `${clean.slice(0, SMS_MAX_CHARS - 1).trimEnd()}…`;
+  }
+  return clean;
+}
+
+// Helper: Shape a session message for the agent
+// Replies the caller talked over are sent as what was actually heard,
+// so the agent knows the rest of that reply never got through.
+// Tool calls and their results (local backend) are passed through as they are
+function toAgentMessage(m) {
+  if (m.role === "tool") {
+    return { role: "tool", tool_call_id: m.tool_call_id, name: m.name, content: m.content };
+  }
+  if (m.role === "assistant" && m.tool_calls) {
+    return { role: "assistant", content: m.content ?? null, tool_calls: m.tool_calls };
+  }
+  if (m.role === "assistant" && m.interrupted) {
+    return {
+      role: "assistant",
+      content: `${m.heard || ""} [interrupted by caller - the rest of this reply was not heard]`.trim()
+    };
+  }
+  return { role: m.role, content: m.content };
+}
+
+// Helper: Run one agent turn for a call and record the reply in the session
+// Shared by the <Gather> path (/twilio/process-agent), streaming STT (media stream)
+// and SMS (/twilio/sms, with store = smsSessionStore and channel = "sms", where
+// callSid is the conversation key). Expects the caller's utterance to already be
+// the last message in the session.
+// input: how the caller's turn came in ({ source, confidence }), for the transcript.
+// Returns { reply, messageIndex, transfer, collectDigits, transcriptTurn }: the text
+// to speak (a fallback line if the agent call failed), the index it was stored at in
+// session.messages (null on failure), the transfer request when the agent asked
+// to hand the call to a person, "phone" / "code" when the reply asks for
+// something the caller can type on the keypad (also kept in session.collectDigits),
+// and the agent turn's index in the call transcript (for transcripts.setPlayback).
+// Bookings made during the turn are confirmed to the caller by SMS in the background.
+async function runAgentForCall({ callSid, businessId, from, to, speech, store = sessionStore, channel = "voice", input = {} }) {
+  const session = await store.getOrCreate(callSid);
+  // SMS conversations have no call transcript
+  const transcribe = channel === "voice";
+  if (transcribe) {
+    await recordTranscript(callSid, () => transcripts.addCallerTurn(callSid, { text: speech, ...input }));
+  }
+
+  // The caller ID Twilio gave /twilio/voice, over anything passed along since.
+  // On calls we placed (reminders) Twilio's From is the business, To the customer
+  if (session.from) from = session.from;
+  if (session.outbound) {
+    from = session.outbound.customerPhone;
+    to = session.outbound.businessPhone;
+  }
+
+  // Send full message history (last ~12 messages) to agent for context
+  // This is the #1 fix for "flow is completely mixed" - agent sees full conversation
+  // Tool results whose tool call falls outside the window are left out (the API rejects them)
+  let historyStart = Math.max(0, session.messages.length - 12);
+  while (session.messages[historyStart]?.role === "tool") historyStart++;
+  const recentMessages = session.messages.slice(historyStart).map(toAgentMessage);
   
-  try {
-    console.log("[AGENT] Calling voice-agent");
-    console.log("[AGENT] URL:", VOICE_AGENT_URL);
-    console.log("[AGENT] callSid:", callSid);
-    console.log("[AGENT] businessId:", businessId);
-    console.log("[AGENT] Request body:", JSON.stringify(agentBody, null, 2));
+  // Payload structure: Every request must include callSid, from, to, businessId
+  // This gives the agent a stable key to store state for that call
+  const agentBody = {
+    businessId: businessId,
+    callSid: callSid || null,
+    from: from || null,
+    to: to || null,
+    messages: recentMessages,  // Full conversation history (user + assistant turns)
+    text: speech,  // Also include current speech for backward compatibility
+    language: session.language || null,  // Caller's language (BCP-47); the agent must reply in it
+    afterHours: Boolean(session.afterHours),  // Business closed: appointments only, no transfers
+    channel: channel,  // "voice" | "sms"
+    caller: session.caller || null  // Returning customer's details, see callerLookup.js
+  };
+
+  // Backends never throw: failures come back with a spoken fallback reply
+  const agentBackend = await agentBackends.forBusiness(businessId);
+  const agentStartedAt = Date.now();
+  const agentResult = await agentBackend.respond(agentBody);
+  const latencyMs = Date.now() - agentStartedAt;
+  const business = businessLabel(businessId);
+  turnsTotal.inc({ business, channel });
+  agentDuration.observe(
+    { business, backend: agentBackend.name, channel, outcome: agentResult.success ? "ok" : "error" },
+    latencyMs / 1000
+  );
+  const transcriptTurn = !transcribe ? null : await recordTranscript(callSid, () => transcripts.addAgentTurn(callSid, {
+    text: agentResult.reply,
+    ok: agentResult.success,
+    latencyMs,
+    toolCalls: agentResult.toolCalls || [],
+    transfer: agentResult.transfer || null
+  }));
+  
+  if (!agentResult.success) {
+    // Use the fallback reply from the helper
+    console.error("[AGENT] Agent call failed:", agentResult.error);
+    if (channel === "voice") {
+      await store.update(callSid, { collectDigits: null, activity: noteAgentTurn(session.activity, agentResult) });
+    }
+    return { reply: agentResult.reply, messageIndex: null, transfer: null, collectDigits: null, transcriptTurn };
+  }
 
-    // Create AbortController for timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), AGENT_TIMEOUT_MS);
+  // Add the turn to session history: its tool calls and their results (backends
+  // that report messages), then the assistant reply
+  const toolSteps = (agentResult.messages || []).filter(m => m.role === "tool" || m.tool_calls?.length > 0);
+  for (const step of toolSteps) {
+    await store.appendMessage(callSid, step);
+  }
+  const count = await store.appendMessage(callSid, { role: "assistant", content: agentResult.reply });
 
-    try {
-      const agentRes = await fetch(VOICE_AGENT_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(agentBody),
-        signal: controller.signal
-      });
+  // Asked for a phone number or code: the next <Gather> takes digits up to #.
+  // What the turn achieved feeds the call's outcome (see callOutcome.js)
+  const collectDigits = channel === "voice" ? digitCollectionFor(agentResult.reply) : null;
+  if (channel === "voice") {
+    await store.update(callSid, { collectDigits, activity: noteAgentTurn(session.activity, agentResult) });
+  }
 
-      clearTimeout(timeoutId);
+  // Over SMS the agent's reply already is the confirmation
+  const bookings = agentResult.bookings || [];
+  if (bookings.length > 0 && channel === "voice") {
+    confirmBookings({
+      callSid,
+      businessId,
+      from,
+      to,
+      bookings,
+      language: session.language,
+      publicBaseUrl: session.publicBaseUrl
+    });
+  }
 
-      // Read response as text first (safer than .json() which can throw)
-      const responseText = await agentRes.text();
-      
-      console.log("[AGENT] Response status:", agentRes.status);
-      console.log("[AGENT] Response body (first 500 chars):", responseText.slice(0, 500));
-
-      if (!agentRes.ok) {
-        console.error("[AGENT] API error:", agentRes.status, responseText.slice(0, 500));
-        return {
-          success: false,
-          reply: "I'm having trouble accessing the scheduling system right now. Please try again a bit later.",
-          error: `Agent API returned ${agentRes.status}`
-        };
-      }
+  // Only a call can be handed to a person
+  const transfer = channel === "voice" ? agentResult.transfer || null : null;
+  if (transfer) {
+    await requestTransfer(callSid, transfer);
+  } else if (agentResult.transfer) {
+    console.warn(`[AGENT] Ignoring transfer request on ${channel} conversation ${callSid}`);
+  }
+  return { reply: agentResult.reply, messageIndex: count - 1, transfer, collectDigits, transcriptTurn };
+}
 
-      // Attempt JSON.parse with safe fallback
-      let agentJson;
-      try {
-        agentJson = JSON.parse(responseText);
-      } catch (parseErr) {
-        console.error("[AGENT] JSON parse error:", parseErr);
-        console.error("[AGENT] Raw response:", responseText.slice(0, 500));
-        return {
-          success: false,
-          reply: "I'm having trouble processing the response. Please try again.",
-          error: "Invalid JSON response"
-        };
-      }
+// Helper: Text the caller a confirmation for each booking (see bookingConfirmation.js)
+// and report it to core-api. Runs in the background so the reply isn't held up
+// by Twilio; delivery updates arrive at /twilio/sms-status.
+function confirmBookings({ callSid, businessId, from, to, bookings, language, publicBaseUrl }) {
+  const baseUrl = publicBaseUrl || process.env.PUBLIC_BASE_URL;
 
-      console.log("[AGENT] Parsed response:", agentJson);
+  for (const booking of bookings) {
+    const callbackParams = new URLSearchParams({ businessId: businessId || "", bookingId: booking.bookingId || "" });
+    const statusCallback = baseUrl ? `${baseUrl}/twilio/sms-status?${callbackParams.toString()}` : undefined;
 
-      // Extract reply from response
-      let reply = null;
-      if (agentJson.ok && agentJson.reply) {
-        reply = agentJson.reply;
-      } else if (agentJson.reply) {
-        reply = agentJson.reply;
-      } else {
-        reply = "Thanks. How else can I help you today?";
-      }
+    sendBookingConfirmation({ businessId, booking, callerPhone: from, businessPhone: to, language, statusCallback })
+      .then(result => {
+        if (!result.sent) {
+          console.warn(`[SMS] Booking confirmation for CallSid ${callSid} not sent: ${result.error}`);
+        }
+        return outbox.enqueue({
+          type: "sms.confirmation",
+          path: "/internal/messages",
+          idempotencyKey: `${callSid}:sms.confirmation:${booking.bookingId || booking.start}`,
+          body: {
+            kind: "booking_confirmation",
+            callSid,
+            businessId,
+            bookingId: booking.bookingId || null,
+            to: result.to,
+            from: to || null,
+            messageSid: result.sid || null,
+            status: result.sent ? result.status : "failed",
+            error: result.error || null,
+            text: result.body
+          }
+        });
+      })
+      .catch(err => console.error(`[SMS] Booking confirmation for CallSid ${callSid} failed:`, err));
+  }
+}
 
-      return {
-        success: true,
-        reply: reply
-      };
+// --- SESSION STORE (stateful conversations) ---
+// Backend is chosen by SESSION_STORE (memory | file | redis), see sessionStore.js.
+// Sessions expire 20 minutes after their last write.
+const sessionStore = createSessionStore();
 
-    } catch (fetchErr) {
-      clearTimeout(timeoutId);
-      
-      if (fetchErr.name === 'AbortError') {
-        console.error("[AGENT] Request timeout after", AGENT_TIMEOUT_MS, "ms");
-        return {
-          success: false,
-          reply: "I'm taking a bit longer than usual. Please hold on, or try again in a moment.",
-          error: "Request timeout"
-        };
-      }
-      
-      throw fetchErr; // Re-throw to outer catch
-    }
+// Call transcripts outlive sessions (TRANSCRIPT_RETENTION_HOURS), see callTranscript.js
+const transcripts = createTranscriptStore();
 
+// Helper: Run a transcript write. Transcripts are for review later, so a failed
+// write is logged and never holds up the call. Returns the write's result or null.
+async function recordTranscript(callSid, write) {
+  try {
+    return await write();
   } catch (err) {
-    console.error("[AGENT] Fatal error calling agent:", err);
-    console.error("[AGENT] Error stack:", err.stack);
-    return {
-      success: false,
-      reply: "I'm having trouble connecting right now. Please try calling again in a moment.",
-      error: err.message || "Unknown error"
-    };
+    console.error(`[TRANSCRIPT] Failed to record transcript for CallSid ${callSid}:`, err);
+    return null;
   }
 }
 
-// --- SESSION STORE (stateful conversations) ---
-const sessions = new Map();
-const SESSION_TTL_MS = 20 * 60 * 1000; // 20 minutes
+// waitForPlayback() result -> the agent turn's playback in the transcript
+const TRANSCRIPT_PLAYBACK = { idle: "completed", interrupted: "interrupted", speaking: "unconfirmed" };
+// Media Stream replies are noted in the background, so this can outlast a webhook
+const TRANSCRIPT_PLAYBACK_WAIT_MS = 60000;
+
+// SMS conversations are keyed by the From/To pair instead of a CallSid, and
+// kept for a day since texts trickle in over hours
+const SMS_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const smsSessionStore = createSessionStore(undefined, { namespace: "sms", ttlMs: SMS_SESSION_TTL_MS });
+
+// Session counts for the active_sessions gauge, read on each /metrics scrape
+countSessionsWith("call", () => sessionStore.count());
+countSessionsWith("sms", () => smsSessionStore.count());
 
-function getSession(callSid) {
+function smsSessionId(from, to) {
+  return `${to}:${from}`;
+}
+
+// --- CORE-API OUTBOX ---
+// Call lifecycle events and error reports are persisted here and delivered by a
+// background worker with retries (see coreApiOutbox.js).
+const outbox = createCoreApiOutbox();
+outbox.start();
+
+// Identifies this process in session records (e.g. which instance holds a Media Stream)
+const INSTANCE_ID = process.env.RENDER_INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+async function getSession(callSid) {
   if (!callSid) return null;
-  if (!sessions.has(callSid)) {
-    sessions.set(callSid, { 
-      messages: [], 
-      lastActive: Date.now(), 
-      businessId: null 
-    });
+  return sessionStore.getOrCreate(callSid);
+}
+
+async function saveSession(callSid, patch) {
+  if (!callSid) return null;
+  return sessionStore.update(callSid, patch);
+}
+
+// Helper: Voice settings (greeting, language, voices) for this call.
+// Resolved once per call and kept in the session, see voiceSettings.js
+async function getCallVoice(callSid, session, { businessId, to } = {}) {
+  if (session?.voice) return session.voice;
+  const voice = await getVoiceSettings({ businessId: businessId || session?.businessId, to });
+  if (callSid) await saveSession(callSid, { voice, language: voice.language });
+  return voice;
+}
+
+// Helper: Switch the rest of the call to another supported language
+// (Gather language, TTS voices, agent instructions) and record it in the session.
+// source: "dtmf" | "detected"
+async function setCallLanguage(callSid, voice, code, source) {
+  const switched = withLanguage(voice, code);
+  await saveSession(callSid, {
+    voice: switched,
+    language: switched.language,
+    languageChosen: true,
+    languageSource: source
+  });
+  if (switched.language !== voice.language) {
+    console.log(`[LANGUAGE] CallSid ${callSid} switched ${voice.language} -> ${switched.language} (${source})`);
   }
-  const s = sessions.get(callSid);
-  s.lastActive = Date.now();
-  return s;
+  return switched;
 }
 
-// Cleanup old sessions to prevent memory leaks
-setInterval(() => {
-  const now = Date.now();
-  for (const [sid, s] of sessions.entries()) {
-    if (now - s.lastActive > SESSION_TTL_MS) {
-      sessions.delete(sid);
-      console.log(`Cleaned up expired session: ${sid}`);
-    }
+// Helper: On the caller's first utterance, detect their language (provider
+// hint first, e.g. Deepgram's, then the transcript) and switch if it's another
+// supported one. Later utterances keep the chosen language.
+async function applyFirstUtteranceLanguage(callSid, session, voice, text, hint = null) {
+  if (session.languageChosen || voice.languages.length < 2) return voice;
+
+  const supported = voice.languages.map(l => l.code);
+  const detected = matchLanguage(hint, supported) || detectLanguage(text, supported);
+  return setCallLanguage(callSid, voice, detected || voice.language, detected ? "detected" : "default");
+}
+
+// Helper: Spoken language menu ("Pour le service en français, appuyez sur le 2"),
+// one prompt per other supported language. Only offered until a language is chosen.
+function languageMenuPrompts(voice, session) {
+  if (session?.languageChosen || voice.languages.length < 2) return [];
+  return voice.languages
+    .filter(l => l.code !== voice.language)
+    .map(l => ({
+      language: l,
+      text: (LANGUAGE_DEFAULTS[l.code]?.menuPrompt || (digit => `Press ${digit} for ${l.code}.`))(l.digit)
+    }));
+}
+
+// Helper: Best-effort voice for error paths; never throws
+async function getCallVoiceSafely(callSid) {
+  try {
+    const session = callSid ? await sessionStore.get(callSid) : null;
+    return session?.voice || getDefaultVoiceSettings();
+  } catch {
+    return getDefaultVoiceSettings();
+  }
+}
+
+// Helper: Is this call's Media Stream connected to this instance?
+// The socket can't move between instances, so the session records which
+// instance holds it; anywhere else we have to fall back to Twilio TTS
+function hasLocalMediaStream(callSid, session) {
+  if (mediaStreams.has(callSid)) return true;
+
+  const owner = session?.mediaStream?.instanceId;
+  if (owner && owner !== INSTANCE_ID) {
+    console.warn(`[MEDIA-STREAM] Stream for CallSid ${callSid} is held by instance ${owner}, not ${INSTANCE_ID}`);
+  }
+  return false;
+}
+
+// Helper: Record that this call should go to a person (see callTransfer.js)
+// source: "agent" (it already told the caller) | "keypad" | "direct"
+async function requestTransfer(callSid, { reason, summary }, source = "agent") {
+  console.log(`[TRANSFER] CallSid ${callSid} transfer requested by ${source} (${reason})`);
+  return saveSession(callSid, {
+    transfer: { reason, summary: summary || "", source, requestedAt: Date.now(), status: "requested" }
+  });
+}
+
+// Helper: Update session.transfer, keeping what's already recorded
+async function updateTransfer(callSid, patch) {
+  const session = await getSession(callSid);
+  return saveSession(callSid, { transfer: { ...(session.transfer || {}), ...patch } });
+}
+
+function transferPath(businessId) {
+  return `/twilio/transfer?businessId=${encodeURIComponent(businessId || "")}`;
+}
+
+// Helper: Move a Media Stream call to /twilio/transfer. There's no webhook
+// response to return a <Dial> in, so the call is redirected over the REST API;
+// without credentials the caller is told and the conversation carries on.
+async function transferStreamCall(callSid, businessId, voice) {
+  const session = await getSession(callSid);
+  const baseUrl = session.publicBaseUrl || process.env.PUBLIC_BASE_URL;
+  if (baseUrl && await redirectCall(callSid, `${baseUrl}${transferPath(businessId)}`)) {
+    return true;
+  }
+
+  await updateTransfer(callSid, { status: "unavailable" });
+  await streamElevenLabsToTwilio(callSid, gatewayPhrase(voice.language, "transferUnavailable"), {
+    voiceId: voice.elevenLabsVoiceId
+  });
+  return false;
+}
+
+// Helper: Voicemail prompt + <Record>, used when nobody picks up, there's no
+// staff line, or the business is closed. reason: "transfer" | "after_hours".
+// The recording and transcription callbacks arrive after the call has ended
+// (and its session is gone), so they carry the caller ID in their URLs.
+function appendVoicemail(vr, voice, businessId, { from, reason }) {
+  const params = new URLSearchParams({ businessId: businessId || "", from: from || "", reason });
+  vr.say(sayAttributes(voice), gatewayPhrase(voice.language, "voicemailPrompt"));
+  vr.record({
+    action: `/twilio/voicemail-complete?${params.toString()}`,
+    method: "POST",
+    maxLength: 120,
+    playBeep: true,
+    trim: "trim-silence",
+    recordingStatusCallback: `/twilio/voicemail-recording?${params.toString()}`,
+    recordingStatusCallbackMethod: "POST",
+    recordingStatusCallbackEvent: "completed",
+    // Twilio only transcribes English recordings
+    ...(baseLanguage(voice.language) === "en"
+      ? { transcribe: true, transcribeCallback: `/twilio/voicemail-transcription?${params.toString()}` }
+      : {})
+  });
+}
+
+// Helper: Recording status callback for a business's recordings (absolute URL
+// for the REST API, relative is fine in TwiML)
+function recordingStatusPath(businessId, mode, baseUrl = "") {
+  const params = new URLSearchParams({ businessId: businessId || "", mode });
+  return `${baseUrl}/twilio/recording-status?${params.toString()}`;
+}
+
+// Helper: Start recording the call through the REST API (see callRecording.js).
+// Not awaited by the webhook: the result lands in session.recording
+function startCallRecordingInBackground(callSid, { businessId, mode, baseUrl }) {
+  startCallRecording(callSid, { statusCallback: recordingStatusPath(businessId, mode, baseUrl) })
+    .then(async (result) => {
+      if (!result.ok) {
+        console.warn(`[RECORDING] Could not record CallSid ${callSid} (business ${businessId}): ${result.error}`);
+      }
+      const session = await sessionStore.get(callSid);
+      // Twilio's status callback may have got here first
+      const reported = session?.recording?.recordingSid ? session.recording.status : null;
+      await saveSession(callSid, {
+        recording: {
+          ...(session?.recording || {}),
+          mode,
+          status: result.ok ? reported || result.status || "in-progress" : "failed",
+          recordingSid: result.sid || session?.recording?.recordingSid || null,
+          startedAt: result.ok ? new Date().toISOString() : null,
+          error: result.error || null
+        }
+      });
+    })
+    .catch(err => console.error(`[RECORDING] Error starting recording for CallSid ${callSid}:`, err));
+}
+
+// Helper: After-hours TwiML: the closed message, then either straight to
+// voicemail or a choice between booking and leaving a message
+function buildAfterHoursResponse(afterHours, voice, businessId, from) {
+  const vr = new VoiceResponse();
+  const message = afterHours.message || gatewayPhrase(voice.language, "closed");
+
+  if (afterHours.choice === "voicemail") {
+    vr.say(sayAttributes(voice), message);
+    appendVoicemail(vr, voice, businessId, { from, reason: "after_hours" });
+    return vr;
   }
-}, 60 * 1000); // Run cleanup every minute
+
+  const gather = vr.gather({
+    input: "speech dtmf",
+    numDigits: 1,
+    action: `/twilio/after-hours?businessId=${encodeURIComponent(businessId)}`,
+    method: "POST",
+    language: voice.language,
+    speechTimeout: "auto",
+    bargeIn: true
+  });
+  gather.say(sayAttributes(voice), message);
+  gather.say(sayAttributes(voice), gatewayPhrase(voice.language, "afterHoursMenu"));
+
+  // Caller stayed on the line: take a message
+  appendVoicemail(vr, voice, businessId, { from, reason: "after_hours" });
+  return vr;
+}
 
 // --- HOME PAGE ---
 app.get("/", (req, res) => {
@@ -419,23 +951,193 @@ app.get("/health", (req, res) => {
   res.json({ ok: true, service: "book8-voice-gateway" });
 });
 
+// --- PROMETHEUS METRICS (see metrics.js) ---
+// With METRICS_TOKEN set, scrapers must send "Authorization: Bearer <token>"
+app.get("/metrics", async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("authorization") !== `Bearer ${token}`) {
+    return res.status(401).type("text/plain").send("Unauthorized");
+  }
+  try {
+    res.type(metricsRegistry.contentType).send(await metricsRegistry.metrics());
+  } catch (err) {
+    console.error("[METRICS] Failed to collect metrics:", err);
+    res.status(500).type("text/plain").send("Failed to collect metrics");
+  }
+});
+
 // --- TWILIO PING (quick smoke test for routing) ---
 app.get("/twilio/ping", (req, res) => {
   res.status(200).send("ok");
 });
 
+// ---------------------------------------------------------------------
+//  Streaming speech-to-text (inbound Media Stream audio)
+//  Provider is chosen by STT_PROVIDER (see sttProvider.js); when disabled,
+//  calls rely on <Gather> speech recognition only.
+// ---------------------------------------------------------------------
+let sttProvider = null;
+try {
+  sttProvider = createSttProvider();
+} catch (err) {
+  console.error("[STT] Failed to initialize STT provider, streaming STT disabled:", err.message);
+}
+
+// Helper: Record which instance holds the stream, then play any greeting
+// /twilio/voice queued before the stream was up
+async function registerMediaStream(callSid, streamSid) {
+  const session = await saveSession(callSid, {
+    mediaStream: { instanceId: INSTANCE_ID, streamSid, connectedAt: Date.now() }
+  });
+
+  if (session.pendingGreeting) {
+    await saveSession(callSid, { pendingGreeting: null });
+    await streamElevenLabsToTwilio(callSid, session.pendingGreeting, {
+      voiceId: session.voice?.elevenLabsVoiceId
+    });
+  }
+}
+
+// Helper: Clear the stream record, unless the session is gone (call ended)
+// or another instance has taken over the stream since
+async function unregisterMediaStream(callSid) {
+  const session = await sessionStore.get(callSid);
+  if (session?.mediaStream?.instanceId === INSTANCE_ID) {
+    await saveSession(callSid, { mediaStream: null });
+  }
+}
+
+// Helper: What a keypad entry means (see keypadMenu.js): { transfer: true } for
+// the staff key, else { text } telling the agent what was pressed: a menu
+// choice, or the digits it asked for
+async function interpretKeypad(session, digits, { businessId, to }) {
+  const { menu } = await getKeypadMenu({ businessId, to });
+  if (menu[digits] === "staff") {
+    return { transfer: true, text: null };
+  }
+  if (session.collectDigits) {
+    return { transfer: false, text: describeKeypadEntry(session.collectDigits, digits) };
+  }
+  return { transfer: false, text: describeKeypadPress(digits, menu[digits]) };
+}
+
+// Helper: The agent's reply, plus how to type the answer when it asked for digits
+function withKeypadHint(reply, collectDigits, language) {
+  return collectDigits ? `${reply} ${gatewayPhrase(language, "keypadEntryHint")}` : reply;
+}
+
+// Helper: Run a final streaming transcript through the same session + agent
+// pipeline as /twilio/process-agent, then speak the reply over the Media Stream
+// fromKeypad: text describes keypad input, so it says nothing about the language
+// confidence: the STT provider's, for the call transcript
+async function handleStreamTranscript(callSid, streamContext, text, languageHint = null, { fromKeypad = false, confidence = null } = {}) {
+  const session = await getSession(callSid);
+  const businessId = streamContext.businessId || session.businessId;
+
+  if (!businessId) {
+    console.warn(`[STT] No businessId for CallSid ${callSid}, dropping transcript`);
+    return;
+  }
+
+  await saveSession(callSid, { businessId, partialTranscript: null });
+  await sessionStore.appendMessage(callSid, { role: "user", content: text });
+
+  // Settle the call language before the agent answers in it
+  let voice = await getCallVoice(callSid, session, { businessId, to: streamContext.to });
+  if (!fromKeypad) {
+    voice = await applyFirstUtteranceLanguage(callSid, session, voice, text, languageHint);
+  }
+
+  const { reply, messageIndex, transfer, collectDigits, transcriptTurn } = await runAgentForCall({
+    callSid,
+    businessId,
+    from: streamContext.from,
+    to: streamContext.to,
+    speech: text,
+    input: { source: fromKeypad ? "dtmf" : "stt", confidence }
+  });
+
+  const spoken = withKeypadHint(toPhoneSentence(reply), collectDigits, voice.language);
+  const result = await streamElevenLabsToTwilio(callSid, spoken, {
+    messageIndex,
+    voiceId: voice.elevenLabsVoiceId
+  });
+  if (!result.success && !result.interrupted) {
+    console.warn(`[STT] Could not speak reply for CallSid ${callSid}: ${result.error}`);
+  }
+
+  // Note how playback ended without holding up the next turn
+  if (result.success) {
+    waitForPlayback(callSid, { timeoutMs: TRANSCRIPT_PLAYBACK_WAIT_MS })
+      .then(state => recordTranscript(callSid, () => transcripts.setPlayback(callSid, transcriptTurn, TRANSCRIPT_PLAYBACK[state] || "unconfirmed")));
+  } else {
+    await recordTranscript(callSid, () => transcripts.setPlayback(callSid, transcriptTurn, result.interrupted ? "interrupted" : "failed"));
+  }
+
+  if (transfer) {
+    // Let the caller hear "connecting you" before the stream is cut
+    if (result.success) {
+      await waitForPlayback(callSid, { timeoutMs: WEBHOOK_BUDGET_MS });
+    }
+    await transferStreamCall(callSid, businessId, voice);
+  }
+}
+
+// Helper: Keypad press on a Media Stream call. Menu keys act right away; while
+// the agent waits for a phone number or code, digits add up until #
+async function handleStreamDigit(callSid, streamContext, digit) {
+  const session = await getSession(callSid);
+  const businessId = streamContext.businessId || session.businessId;
+
+  if (session.collectDigits && digit !== "#") {
+    streamContext.keypadDigits = (streamContext.keypadDigits || "") + digit;
+    return;
+  }
+  const digits = digit === "#" ? streamContext.keypadDigits : digit;
+  streamContext.keypadDigits = "";
+  if (!digits || !businessId) return;
+
+  const keypad = await interpretKeypad(session, digits, { businessId, to: streamContext.to });
+  console.log(`[KEYPAD] CallSid ${callSid} entered "${digits}"${keypad.transfer ? " (staff)" : ""}`);
+  interruptPlayback(callSid);
+
+  if (keypad.transfer) {
+    const voice = await getCallVoice(callSid, session, { businessId, to: streamContext.to });
+    await requestTransfer(callSid, { reason: `caller_pressed_${digits}` }, "keypad");
+    await transferStreamCall(callSid, businessId, voice);
+    return;
+  }
+  await handleStreamTranscript(callSid, streamContext, keypad.text, null, { fromKeypad: true });
+}
+
 // ---------------------------------------------------------------------
 //  Twilio Media Stream WebSocket Endpoint
-//  Handles bidirectional audio streaming for ElevenLabs TTS
+//  Handles bidirectional audio streaming: ElevenLabs TTS out, caller audio in
 // ---------------------------------------------------------------------
+// Twilio signs the upgrade like a webhook; anything else is turned away
+// before it can start STT or the agent for a CallSid
 const wss = new WebSocketServer({ 
   server: server,
-  path: "/twilio/media-stream"
+  path: "/twilio/media-stream",
+  verifyClient: ({ req }) => verifyTwilioWebSocket(req)
 });
 
 wss.on("connection", (ws, req) => {
   let callSid = null;
+  let streamContext = {};  // businessId/from/to passed as <Stream> parameters
+  let sttSession = null;
+  let turnQueue = Promise.resolve();  // Final transcripts are handled one at a time
+  let stopped = false;  // Twilio sent "stop"; a close without it is a dropped stream
+  const vad = createVad();  // Detects the caller talking over streamed TTS (barge-in)
   console.log("[MEDIA-STREAM] New WebSocket connection");
+  activeMediaStreams.inc();
+
+  const closeStt = () => {
+    if (sttSession) {
+      sttSession.close();
+      sttSession = null;
+    }
+  };
 
   ws.on("message", (data) => {
     try {
@@ -446,13 +1148,45 @@ wss.on("connection", (ws, req) => {
         console.log("[MEDIA-STREAM] Connected event received");
       }
       
-      // Handle "start" event - extract CallSid
+      // Handle "start" event - extract CallSid and StreamSid
       if (message.event === "start") {
         callSid = message.start?.callSid || message.callSid;
-        console.log(`[MEDIA-STREAM] Stream started for CallSid: ${callSid}`);
+        const streamSid = message.start?.streamSid || message.streamSid;
+        console.log(`[MEDIA-STREAM] Stream started for CallSid: ${callSid}, StreamSid: ${streamSid}`);
+        streamContext = message.start?.customParameters || {};
         
         if (callSid) {
-          mediaStreams.set(callSid, ws);
+          mediaStreams.set(callSid, { ws, streamSid, businessId: streamContext.businessId || null });
+
+          registerMediaStream(callSid, streamSid).catch(err => {
+            console.error(`[MEDIA-STREAM] Failed to register stream for CallSid ${callSid}:`, err);
+          });
+        }
+
+        if (sttProvider && callSid) {
+          sttSession = sttProvider.createSession({
+            callSid,
+            // "multi" when the business takes calls in several languages (set by /twilio/voice)
+            language: streamContext.sttLanguage || undefined,
+            onTranscript: ({ text, isFinal, language, confidence }) => {
+              if (!isFinal) {
+                saveSession(callSid, { partialTranscript: text }).catch(err => {
+                  console.error(`[STT] Failed to save partial for CallSid ${callSid}:`, err);
+                });
+                console.log(`[STT] Partial for CallSid ${callSid}: "${text}"`);
+                return;
+              }
+
+              console.log(`[STT] Final for CallSid ${callSid}: "${text}"`);
+              turnQueue = turnQueue
+                .then(() => handleStreamTranscript(callSid, streamContext, text, language, { confidence }))
+                .catch(err => console.error(`[STT] Error handling transcript for CallSid ${callSid}:`, err));
+            },
+            onError: (err) => {
+              console.error(`[STT] Provider error for CallSid ${callSid}:`, err.message);
+            }
+          });
+          console.log(`[STT] ${sttProvider.name} session started for CallSid: ${callSid}`);
         }
         
         // Send "connected" response to Twilio
@@ -463,14 +1197,38 @@ wss.on("connection", (ws, req) => {
       }
       
       // Handle "media" event (incoming audio from caller)
-      if (message.event === "media") {
-        // We can process incoming audio here if needed
-        // For now, we're just streaming TTS out
+      // Payload is base64 mu-law; decode to PCM for barge-in detection and STT
+      if (message.event === "media" && message.media?.payload) {
+        const samples = decodeMulaw(Buffer.from(message.media.payload, "base64"));
+
+        if (vad.process(samples) === "speech_start" && callSid) {
+          interruptPlayback(callSid);
+        }
+
+        if (sttSession) {
+          sttSession.write(samples);
+        }
+      }
+      
+      // Handle "dtmf" event - caller pressed a key (bidirectional streams only)
+      if (message.event === "dtmf" && callSid) {
+        const digit = message.dtmf?.digit;
+        console.log(`[MEDIA-STREAM] DTMF "${digit}" for CallSid: ${callSid}`);
+        turnQueue = turnQueue
+          .then(() => handleStreamDigit(callSid, streamContext, digit))
+          .catch(err => console.error(`[MEDIA-STREAM] Error handling DTMF for CallSid ${callSid}:`, err));
+      }
+
+      // Handle "mark" event - Twilio finished playing audio up to this mark
+      if (message.event === "mark" && callSid) {
+        handleMark(callSid, message.mark?.name);
       }
       
       // Handle "stop" event
       if (message.event === "stop") {
         console.log(`[MEDIA-STREAM] Stream stopped for CallSid: ${callSid}`);
+        stopped = true;
+        closeStt();
         if (callSid) {
           mediaStreams.delete(callSid);
         }
@@ -486,8 +1244,17 @@ wss.on("connection", (ws, req) => {
 
   ws.on("close", () => {
     console.log(`[MEDIA-STREAM] WebSocket closed for CallSid: ${callSid}`);
+    activeMediaStreams.dec();
+    mediaStreamDisconnectsTotal.inc({ business: businessLabel(streamContext.businessId), reason: stopped ? "stopped" : "dropped" });
+    closeStt();
     if (callSid) {
+      activePlayback.get(callSid)?.controller.abort();
+      activePlayback.delete(callSid);
+      clearPlaybackState(callSid);
       mediaStreams.delete(callSid);
+      unregisterMediaStream(callSid).catch(err => {
+        console.error(`[MEDIA-STREAM] Failed to unregister stream for CallSid ${callSid}:`, err);
+      });
     }
   });
 });
@@ -499,7 +1266,8 @@ wss.on("connection", (ws, req) => {
 //  - Sets businessId from response and carries it through query string
 //  - Greets the caller and starts a <Gather> for speech
 // ---------------------------------------------------------------------
-app.post("/twilio/voice", async (req, res) => {
+app.post("/twilio/voice", requireTwilioSignature(), async (req, res) => {
+  const handlerStartedAt = Date.now();
   // Wrap entire handler in try/catch to prevent any crashes
   try {
     const to = req.body.To;     // Twilio number dialed (your shared number)
@@ -509,7 +1277,7 @@ app.post("/twilio/voice", async (req, res) => {
     console.log("Incoming call from:", from, "to:", to, "CallSid:", callSid);
 
     // Get or create session for this call
-    const session = getSession(callSid);
+    const session = await getSession(callSid);
 
     // Check if businessId is already in query string (from redirects)
     // If present, use it; otherwise resolve from phone number
@@ -522,13 +1290,11 @@ app.post("/twilio/voice", async (req, res) => {
 
       // If no business found, fail gracefully
       if (!businessId) {
+        const voice = await getVoiceSettings({ to });
         const vr = new VoiceResponse();
         vr.say(
-          {
-            voice: DEFAULT_TTS_VOICE,
-            language: "en-US"
-          },
-          "This number is not yet configured for a business. Goodbye."
+          sayAttributes(voice),
+          gatewayPhrase(voice.language, "notConfigured")
         );
         vr.hangup();
         res.type("text/xml").send(vr.toString());
@@ -536,85 +1302,135 @@ app.post("/twilio/voice", async (req, res) => {
       }
     }
 
-    // Store businessId in session
-    session.businessId = businessId;
+    // Store businessId in session, plus our public URL for REST redirects
+    // (transfers from the Media Stream path, see transferStreamCall)
+    // Back at the greeting, a keypad press is a menu choice again.
+    // from: the caller ID as Twilio gave it; the agent matches bookings on it
+    await saveSession(callSid, {
+      businessId,
+      publicBaseUrl: getPublicBaseUrl(req),
+      collectDigits: null,
+      from: session.from || from || null
+    });
+    const voice = await getCallVoice(callSid, session, { businessId, to });
 
     // A) On inbound call: Call core-api /internal/calls/start
     // Only call on first request (not redirects)
     if (!req.query.businessId && callSid) {
       try {
-        const coreApiUrl = `${CORE_API_BASE_URL}/internal/calls/start`;
-        const startCallBody = {
-          callSid: callSid,
-          from: from,
-          to: to,
-          businessId: businessId
-        };
-
-        const headers = {
-          "Content-Type": "application/json"
-        };
-        
-        // CRITICAL: Core API strictly requires this exact header name: x-book8-internal-secret
-        // Do NOT use a different header name (authorization, x-internal-secret, etc.)
-        // Value must come from process.env.CORE_API_INTERNAL_SECRET
-        if (CORE_API_INTERNAL_SECRET) {
-          headers["x-book8-internal-secret"] = CORE_API_INTERNAL_SECRET;
-          console.log("[DEBUG] Calling /internal/calls/start with secret header (length:", CORE_API_INTERNAL_SECRET.length, ")");
-          console.log("[DEBUG] Header name: x-book8-internal-secret");
-        } else {
-          console.error("ERROR: CORE_API_INTERNAL_SECRET is missing! Core API call will fail.");
-        }
-
-        console.log("[DEBUG] Core API URL:", coreApiUrl);
-        console.log("[DEBUG] Request headers:", JSON.stringify(Object.keys(headers)));
-        console.log("[DEBUG] Request body:", JSON.stringify(startCallBody));
-
-        const coreApiRes = await fetch(coreApiUrl, {
-          method: "POST",
-          headers: headers,
-          body: JSON.stringify(startCallBody)
+        // Persisted to the outbox and delivered (with retries) by its worker
+        await outbox.enqueue({
+          type: "call.start",
+          path: "/internal/calls/start",
+          idempotencyKey: `${callSid}:call.start`,
+          body: {
+            callSid: callSid,
+            from: from,
+            to: to,
+            businessId: businessId
+          }
         });
-
-        // Log response status and body (safe logging - limit body length)
-        const responseText = await coreApiRes.text();
-        console.log("[DEBUG] core-api /internal/calls/start status:", coreApiRes.status);
-        console.log("[DEBUG] core-api /internal/calls/start body:", responseText.slice(0, 500));
-
-        if (!coreApiRes.ok) {
-          console.error(
-            "Core API /internal/calls/start error:",
-            coreApiRes.status,
-            responseText
-          );
-        } else {
-          console.log("Successfully notified core-api of call start:", callSid);
-        }
       } catch (err) {
-        console.error("Error calling core-api /internal/calls/start:", err);
+        console.error("Error queueing core-api /internal/calls/start:", err);
         // Don't fail the call if this fails
       }
+      await recordTranscript(callSid, () => transcripts.start(callSid, { businessId, from, to }));
+      callsTotal.inc({ business: businessLabel(businessId), direction: "inbound" });
     }
 
-    // IMPORTANT: keep businessId in the query string for all future gathers
-    const vr = new VoiceResponse();
-    
-    // Start Media Stream for ElevenLabs TTS (if enabled)
-    // Determine the WebSocket URL (use wss:// for production, ws:// for local)
-    // In production (Render), use wss:// and the full domain
-    const isProduction = process.env.NODE_ENV === 'production' || req.get('host')?.includes('onrender.com');
-    const wsProtocol = isProduction ? 'wss' : (req.protocol === 'https' ? 'wss' : 'ws');
-    const wsHost = req.get('host') || process.env.WS_HOST || `book8-voice-gateway.onrender.com`;
-    const mediaStreamUrl = `${wsProtocol}://${wsHost}/twilio/media-stream`;
-    
-    if (ELEVENLABS_API_KEY) {
-      // Start Media Stream for ElevenLabs streaming TTS
-      const connect = vr.connect();
-      const stream = connect.stream({
-        url: mediaStreamUrl,
-        track: "both_tracks" // Receive and send audio
-      });
+    // Returning caller (see callerLookup.js): looked up once per call, null when
+    // unknown. Started now so it overlaps the opening-hours check
+    const callerLookup = session.caller === undefined && !session.outbound
+      ? lookupCaller({ businessId, phone: from })
+      : null;
+
+    // After hours (see businessHours.js): checked once per call; the caller
+    // hears the closed message and picks booking-only self-service or voicemail
+    let afterHours = session.afterHours;
+    if (afterHours === undefined) {
+      const hours = await getBusinessHoursStatus({ businessId, to });
+      afterHours = hours.open ? null : {
+        reason: hours.reason,
+        detail: hours.detail,
+        message: hours.message,
+        mode: hours.mode,
+        choice: hours.mode === "choice" ? null : hours.mode
+      };
+      await saveSession(callSid, { afterHours });
+      if (afterHours) {
+        console.log(`[HOURS] CallSid ${callSid}: business ${businessId} is closed (${hours.reason}), after-hours mode: ${hours.mode}`);
+      }
+    }
+    let caller = session.caller;
+    if (callerLookup) {
+      caller = await callerLookup;
+      await saveSession(callSid, { caller });
+      if (caller) {
+        console.log(`[CALLER] CallSid ${callSid}: returning caller${caller.name ? ` ${caller.name}` : ""}, ${caller.upcomingBookings.length} upcoming booking(s)`);
+      }
+    }
+
+    if (afterHours && afterHours.choice !== "booking") {
+      res.type("text/xml").send(buildAfterHoursResponse(afterHours, voice, businessId, from).toString());
+      return;
+    }
+
+    // Recording (see callRecording.js): decided once per call, when the caller
+    // reaches the greeting. Twilio can't record a call that is still ringing,
+    // so hand over to /twilio/recording-start, which runs once it's answered
+    // and comes back here
+    if (session.recording === undefined) {
+      const { mode } = await getRecordingSettings({ businessId, to });
+      await saveSession(callSid, { recording: mode === "off" ? null : { mode, status: "pending" } });
+      if (mode !== "off") {
+        const vr = new VoiceResponse();
+        vr.redirect({ method: "POST" }, `/twilio/recording-start?businessId=${encodeURIComponent(businessId)}`);
+        res.type("text/xml").send(vr.toString());
+        return;
+      }
+    }
+
+    // Booking-only after hours: say so instead of the usual greeting
+    // (the "booking" mode hasn't played the closed message yet).
+    // Reminder calls only come back here to reschedule (see /twilio/reminder-response)
+    const baseGreeting = afterHours
+      ? [
+          afterHours.mode === "booking" ? afterHours.message || gatewayPhrase(voice.language, "closed") : null,
+          gatewayPhrase(voice.language, "afterHoursBooking")
+        ].filter(Boolean).join(" ")
+      : session.reminder
+        ? gatewayPhrase(voice.language, "reminderReschedule")
+        : voice.greeting;
+    // Returning callers are welcomed by name until the conversation gets going
+    const firstName = !session.reminder && session.messages.length === 0 ? callerFirstName(caller) : null;
+    const greeting = [
+      firstName ? gatewayPhrase(voice.language, "welcomeBack").replace("{name}", firstName) : null,
+      baseGreeting
+    ].filter(Boolean).join(" ");
+
+    // IMPORTANT: keep businessId in the query string for all future gathers
+    const vr = new VoiceResponse();
+    
+    // Start Media Stream for ElevenLabs TTS (if enabled)
+    // wss:// in production, ws:// for local (the upgrade's signature is checked
+    // against this same URL, see twilioSignature.js)
+    const mediaStreamUrl = getMediaStreamUrl(req);
+    
+    if (ELEVENLABS_API_KEY) {
+      // Start Media Stream for ElevenLabs streaming TTS
+      const connect = vr.connect();
+      const stream = connect.stream({
+        url: mediaStreamUrl,
+        // Bidirectional <Connect><Stream> only accepts inbound_track;
+        // we send audio back over the same socket as "media" messages
+        track: "inbound_track"
+      });
       stream.parameter({ name: "callSid", value: callSid });
+      // Context for streaming STT turns (arrives as start.customParameters)
+      stream.parameter({ name: "businessId", value: businessId });
+      stream.parameter({ name: "from", value: from || "" });
+      stream.parameter({ name: "to", value: to || "" });
+      stream.parameter({ name: "sttLanguage", value: voice.languages.length > 1 ? "multi" : voice.language });
       console.log(`[MEDIA-STREAM] Starting Media Stream for CallSid: ${callSid}, URL: ${mediaStreamUrl}`);
     }
     
@@ -622,37 +1438,52 @@ app.post("/twilio/voice", async (req, res) => {
     // Go to Phone Numbers > Manage > Active Numbers > Your Number
     // Set "Status Callback URL" to: https://book8-voice-gateway.onrender.com/twilio/status-callback
     // Set "Status Callback Events" to at least: "completed" (plus "answered" if you want "in_progress")
+    // Multilingual businesses offer a keypad language choice until one is made.
+    // A business's own keypad menu is read out after the greeting (digits the
+    // language menu uses are left out); the default one works unannounced
+    const menuPrompts = languageMenuPrompts(voice, session);
+    const keypad = await getKeypadMenu({ businessId, to });
+    const keypadPrompt = keypad.announce && !afterHours && !session.reminder
+      ? keypadMenuPrompt(keypad.menu, voice.language, menuPrompts.map(p => p.language.digit))
+      : "";
+
     const gather = vr.gather({
-      input: "speech",
+      input: "speech dtmf",
+      numDigits: 1,
       action: `/twilio/handle-gather?businessId=${encodeURIComponent(businessId)}`,
       method: "POST",
-      language: "en-US",
+      language: voice.language,
       speechTimeout: "auto",
       bargeIn: true
     });
 
-    // Use generic greeting (business details can be fetched later if needed)
-    const greet = "Hi, thanks for calling. How can I help you today?";
+    // Per-business greeting (DEFAULT_GREETING unless the business sets one)
+    const greet = [greeting, keypadPrompt, ...menuPrompts.map(p => p.text)].filter(Boolean).join(" ");
 
     // If ElevenLabs is enabled, stream the greeting; otherwise use Twilio TTS
-    if (ELEVENLABS_API_KEY) {
-      // Stream greeting via ElevenLabs (async, don't wait)
-      streamElevenLabsToTwilio(callSid, greet).catch(err => {
-        console.error(`[ELEVENLABS] Failed to stream greeting for CallSid ${callSid}:`, err);
-        // Fallback: use Twilio TTS
-        // We'll handle this in the gather by using a redirect
-      });
-      // Small delay to let Media Stream establish
-      vr.pause({ length: 1 });
+    if (ELEVENLABS_API_KEY && hasLocalMediaStream(callSid, session)) {
+      // Stream already up (redirect back here): play it and hold the TwiML
+      // until Twilio confirms playback, so the <Gather> doesn't start early
+      const result = await streamElevenLabsToTwilio(callSid, greet, { voiceId: voice.elevenLabsVoiceId });
+      if (result.success) {
+        await waitForPlayback(callSid, { timeoutMs: playbackWaitBudget(handlerStartedAt) });
+      }
+    } else if (ELEVENLABS_API_KEY && !session.mediaStream) {
+      // The Media Stream only connects once Twilio runs this TwiML;
+      // the "start" handler plays the greeting as soon as it does
+      await saveSession(callSid, { pendingGreeting: greet });
     } else {
-      // Fallback to Twilio TTS
+      // Fallback to Twilio TTS; each menu prompt in its own language's voice
       gather.say(
-        {
-          voice: DEFAULT_TTS_VOICE,
-          language: "en-US"
-        },
-        greet
+        sayAttributes(voice),
+        greeting
       );
+      if (keypadPrompt) {
+        gather.say(sayAttributes(voice), keypadPrompt);
+      }
+      for (const prompt of menuPrompts) {
+        gather.say(sayAttributes({ ttsVoice: prompt.language.ttsVoice, language: prompt.language.code }), prompt.text);
+      }
     }
 
     vr.redirect(`/twilio/voice?businessId=${encodeURIComponent(businessId)}`);
@@ -662,29 +1493,65 @@ app.post("/twilio/voice", async (req, res) => {
     console.error("[FATAL] Error in /twilio/voice:", err);
     console.error("[FATAL] Error stack:", err.stack);
     
+    const voice = await getCallVoiceSafely(req.body?.CallSid);
     const vr = new VoiceResponse();
     vr.say(
-      {
-        voice: DEFAULT_TTS_VOICE,
-        language: "en-US"
-      },
-      "I'm sorry, I'm experiencing a technical issue. Please try calling again in a moment."
+      sayAttributes(voice),
+      gatewayPhrase(voice.language, "technicalIssue")
     );
     vr.hangup();
     res.type("text/xml").send(vr.toString());
   }
 });
 
+// ---------------------------------------------------------------------
+//  Call recording start: /twilio/recording-start
+//  - /twilio/voice redirects here for businesses that record calls; by now
+//    Twilio has answered, so the REST recording can start (in the background)
+//  - Announce mode plays the recording notice, then back to /twilio/voice
+// ---------------------------------------------------------------------
+app.post("/twilio/recording-start", requireTwilioSignature(), async (req, res) => {
+  try {
+    const callSid = req.body.CallSid;
+    const to = req.body.To;
+    const session = await getSession(callSid);
+    const businessId = req.query.businessId || session.businessId;
+    const voice = await getCallVoice(callSid, session, { businessId, to });
+    const vr = new VoiceResponse();
+
+    const mode = session.recording?.mode;
+    if (session.recording?.status === "pending") {
+      await saveSession(callSid, { recording: { ...session.recording, status: "starting" } });
+      startCallRecordingInBackground(callSid, { businessId, mode, baseUrl: getPublicBaseUrl(req) });
+
+      // Announce even if it fails: a transfer to staff is still recorded on the <Dial>
+      if (mode === "announce") {
+        const { announcement } = await getRecordingSettings({ businessId, to });
+        vr.say(sayAttributes(voice), announcement || gatewayPhrase(voice.language, "recordingNotice"));
+      }
+    }
+
+    vr.redirect({ method: "POST" }, `/twilio/voice?businessId=${encodeURIComponent(businessId || "")}`);
+    res.type("text/xml").send(vr.toString());
+  } catch (err) {
+    console.error("[FATAL] Error in /twilio/recording-start:", err);
+    const businessId = req.query.businessId || "";
+    const vr = new VoiceResponse();
+    vr.redirect({ method: "POST" }, `/twilio/voice?businessId=${encodeURIComponent(businessId)}`);
+    res.type("text/xml").send(vr.toString());
+  }
+});
+
 // ---------------------------------------------------------------------
 //  Twilio speech handler: /twilio/handle-gather
 //  - Receives SpeechResult from Twilio
 //  - Immediately responds with "thinking" message to reduce perceived lag
 //  - Redirects to /twilio/process-agent for actual processing
 // ---------------------------------------------------------------------
-app.post("/twilio/handle-gather", async (req, res) => {
+app.post("/twilio/handle-gather", requireTwilioSignature(), async (req, res) => {
   // Wrap entire handler in try/catch to prevent any crashes
   try {
-    const speech =
+    let speech =
       req.body.SpeechResult ||
       req.body.TranscriptionText ||
       req.body.Body ||
@@ -695,7 +1562,7 @@ app.post("/twilio/handle-gather", async (req, res) => {
     let businessId = req.query.businessId;
 
     // Get or create session for this call
-    const session = getSession(callSid);
+    const session = await getSession(callSid);
 
     // Keep using the passed businessId (don't re-resolve unless missing)
     if (!businessId && session.businessId) {
@@ -703,9 +1570,11 @@ app.post("/twilio/handle-gather", async (req, res) => {
     } else if (!businessId && to) {
       console.log("businessId missing in handle-gather, re-resolving from to:", to);
       businessId = await resolveBusinessByTo(to);
-      session.businessId = businessId;
+      await saveSession(callSid, { businessId });
     }
 
+    let voice = await getCallVoice(callSid, session, { businessId, to });
+
     console.log("[DEBUG] /twilio/handle-gather called");
     console.log("[DEBUG] Speech received:", speech ? `"${speech.substring(0, 50)}..."` : "(empty)");
     console.log("[DEBUG] From:", from, "To:", to, "CallSid:", callSid, "businessId:", businessId);
@@ -713,6 +1582,33 @@ app.post("/twilio/handle-gather", async (req, res) => {
 
     const vr = new VoiceResponse();
 
+    // Keypad language choice from the greeting menu: switch, then greet again in that language.
+    // Only the digits the menu offered; the rest belong to the keypad menu
+    const chosenLanguage = req.body.Digits
+      ? languageMenuPrompts(voice, session).find(p => p.language.digit === req.body.Digits)?.language
+      : null;
+    if (chosenLanguage && businessId) {
+      await setCallLanguage(callSid, voice, chosenLanguage.code, "dtmf");
+      vr.redirect(`/twilio/voice?businessId=${encodeURIComponent(businessId)}`);
+      res.type("text/xml").send(vr.toString());
+      return;
+    }
+
+    // Keypad: the staff key transfers; a menu choice or the digits the agent
+    // asked for are passed on to the agent as the caller's turn
+    const digits = req.body.Digits;
+    if (digits && businessId) {
+      const keypad = await interpretKeypad(session, digits, { businessId, to });
+      console.log(`[KEYPAD] CallSid ${callSid} entered "${digits}"${keypad.transfer ? " (staff)" : ""}`);
+      if (keypad.transfer) {
+        await requestTransfer(callSid, { reason: `caller_pressed_${digits}` }, "keypad");
+        vr.redirect(transferPath(businessId));
+        res.type("text/xml").send(vr.toString());
+        return;
+      }
+      speech = keypad.text;
+    }
+
     // If no speech, redirect back to voice entry
     if (!speech || speech.trim().length === 0) {
       const redirectUrl = businessId 
@@ -726,11 +1622,8 @@ app.post("/twilio/handle-gather", async (req, res) => {
     // If still no businessId after re-resolution, fail gracefully
     if (!businessId) {
       vr.say(
-        {
-          voice: DEFAULT_TTS_VOICE,
-          language: "en-US"
-        },
-        "I'm sorry, I'm having trouble identifying your business. Please try calling again."
+        sayAttributes(voice),
+        gatewayPhrase(voice.language, "unknownBusiness")
       );
       vr.hangup();
       res.type("text/xml").send(vr.toString());
@@ -738,37 +1631,32 @@ app.post("/twilio/handle-gather", async (req, res) => {
     }
 
     // Store businessId in session
-    session.businessId = businessId;
+    await saveSession(callSid, { businessId });
 
     // Add user message to session history
-    session.messages.push({ role: "user", content: speech });
+    await sessionStore.appendMessage(callSid, { role: "user", content: speech });
+
+    // First utterance decides the call language (filler + agent reply follow it);
+    // keypad input says nothing about it
+    if (!digits) {
+      voice = await applyFirstUtteranceLanguage(callSid, session, voice, speech);
+    }
 
     // Immediately respond with "thinking" message to reduce perceived lag
     // This makes the call feel much more responsive
-    // Use ElevenLabs if enabled, otherwise Twilio TTS
-    if (ELEVENLABS_API_KEY && callSid) {
-      // Stream "thinking" message via ElevenLabs
-      streamElevenLabsToTwilio(callSid, "Sure — one second.").catch(err => {
+    // Use ElevenLabs if the Media Stream is up, otherwise Twilio TTS
+    if (ELEVENLABS_API_KEY && callSid && hasLocalMediaStream(callSid, session)) {
+      // Stream "thinking" message via ElevenLabs without waiting for it:
+      // the reply from /twilio/process-agent plays after it, cutting it short
+      // if it's somehow still downloading (see streamElevenLabsToTwilio)
+      streamElevenLabsToTwilio(callSid, gatewayPhrase(voice.language, "thinking"), { voiceId: voice.elevenLabsVoiceId }).catch(err => {
         console.error(`[ELEVENLABS] Failed to stream thinking message for CallSid ${callSid}:`, err);
-        // Fallback: use Twilio TTS
-        vr.say(
-          {
-            voice: DEFAULT_TTS_VOICE,
-            language: "en-US"
-          },
-          "Sure — one second."
-        );
       });
-      // Small pause to let Media Stream process
-      vr.pause({ length: 1 });
     } else {
       // Fallback to Twilio TTS
       vr.say(
-        {
-          voice: DEFAULT_TTS_VOICE,
-          language: "en-US"
-        },
-        "Sure — one second."
+        sayAttributes(voice),
+        gatewayPhrase(voice.language, "thinking")
       );
     }
 
@@ -778,7 +1666,9 @@ app.post("/twilio/handle-gather", async (req, res) => {
       from: from || "",
       to: to || "",
       businessId: businessId || "",
-      callSid: callSid || ""
+      callSid: callSid || "",
+      input: digits ? "dtmf" : "speech",  // For the call transcript
+      confidence: req.body.Confidence || ""
     });
 
     vr.redirect(`/twilio/process-agent?${params.toString()}`);
@@ -788,13 +1678,11 @@ app.post("/twilio/handle-gather", async (req, res) => {
     console.error("[FATAL] Error in /twilio/handle-gather:", err);
     console.error("[FATAL] Error stack:", err.stack);
     
+    const voice = await getCallVoiceSafely(req.body?.CallSid);
     const vr = new VoiceResponse();
     vr.say(
-      {
-        voice: DEFAULT_TTS_VOICE,
-        language: "en-US"
-      },
-      "I'm sorry, I'm experiencing a technical issue. Please try calling again in a moment."
+      sayAttributes(voice),
+      gatewayPhrase(voice.language, "technicalIssue")
     );
     vr.hangup();
     res.type("text/xml").send(vr.toString());
@@ -809,7 +1697,8 @@ app.post("/twilio/handle-gather", async (req, res) => {
 // ---------------------------------------------------------------------
 // Support both GET and POST for /twilio/process-agent
 // Twilio may POST directly, or GET via redirect
-app.all("/twilio/process-agent", async (req, res) => {
+app.all("/twilio/process-agent", requireTwilioSignature(), async (req, res) => {
+  const handlerStartedAt = Date.now();
   // Wrap entire handler in try/catch to prevent any crashes
   try {
     // Debug logging at the top of handler
@@ -827,6 +1716,10 @@ app.all("/twilio/process-agent", async (req, res) => {
     const to = req.query.to || req.body.to || "";
     const callSid = req.query.callSid || req.body.callSid || "";
     let businessId = req.query.businessId || req.body.businessId || "";
+    const input = {
+      source: req.query.input || req.body.input || "speech",
+      confidence: req.query.confidence || req.body.confidence || null
+    };
     
     // Enhanced debug logging
     console.log(`[PROCESS-AGENT] method: ${method}, path: ${path}`);
@@ -834,7 +1727,7 @@ app.all("/twilio/process-agent", async (req, res) => {
     console.log(`[PROCESS-AGENT] speech: ${speech ? `"${speech.substring(0, 50)}..."` : "(empty)"}`);
 
     // Get session for this call
-    const session = getSession(callSid);
+    const session = await getSession(callSid);
 
     // Keep using the passed businessId (don't re-resolve unless missing)
     if (!businessId && session.businessId) {
@@ -842,101 +1735,91 @@ app.all("/twilio/process-agent", async (req, res) => {
     } else if (!businessId && to) {
       console.log("businessId missing in process-agent, re-resolving from to:", to);
       businessId = await resolveBusinessByTo(to);
-      session.businessId = businessId;
+      await saveSession(callSid, { businessId });
     }
 
-    let replyText =
-      "I'm sorry, I didn't quite catch that. Could you please repeat what you need?";
+    const voice = await getCallVoice(callSid, session, { businessId, to });
+
+    let replyText = gatewayPhrase(voice.language, "didNotCatch");
 
     // If still no businessId after re-resolution, fail gracefully
     if (!businessId) {
       vr.say(
-        {
-          voice: DEFAULT_TTS_VOICE,
-          language: "en-US"
-        },
-        "I'm sorry, I'm having trouble identifying your business. Please try calling again."
+        sayAttributes(voice),
+        gatewayPhrase(voice.language, "unknownBusiness")
       );
       vr.hangup();
       res.type("text/xml").send(vr.toString());
       return;
     }
 
+    let replyIndex = null;
+    let transfer = null;
+    let collectDigits = null;
+    let transcriptTurn = null;
     if (speech && speech.trim().length > 0 && businessId) {
-      // Send full message history (last ~12 messages) to agent for context
-      // This is the #1 fix for "flow is completely mixed" - agent sees full conversation
-      const recentMessages = session.messages.slice(-12);
-      
-      // Payload structure: Every request must include callSid, from, to, businessId
-      // This gives the agent a stable key to store state for that call
-      const agentBody = {
-        businessId: businessId,
-        callSid: callSid || null,
-        from: from || null,
-        to: to || null,
-        messages: recentMessages,  // Full conversation history (user + assistant turns)
-        text: speech  // Also include current speech for backward compatibility
-      };
-
-      // Use safe agent call helper with timeout and comprehensive error handling
-      const agentResult = await callAgentSafely(agentBody, callSid, businessId);
-      
-      if (agentResult.success) {
-        replyText = agentResult.reply;
-        // Add assistant reply to session history
-        session.messages.push({ role: "assistant", content: replyText });
-      } else {
-        // Use the fallback reply from the helper
-        replyText = agentResult.reply;
-        console.error("[AGENT] Agent call failed:", agentResult.error);
-      }
+      ({ reply: replyText, messageIndex: replyIndex, transfer, collectDigits, transcriptTurn } =
+        await runAgentForCall({ callSid, businessId, from, to, speech, input }));
     }
 
     // --- Build next <Gather> with barge-in so the caller can interrupt ---
     // Keep messages short: split into sentences and only say the first 1–2
     const phoneReply = toPhoneSentence(replyText);
     const sentences = phoneReply.split(/(?<=[.!?])\s+/);
-    const trimmed = sentences.slice(0, 2).join(" ");
-    
-    const gather = vr.gather({
-      input: "speech",
+    const trimmed = withKeypadHint(sentences.slice(0, 2).join(" "), collectDigits, voice.language);
+
+    // When the agent hands off, say the reply and go to the <Dial> instead of listening.
+    // Keypad: one menu key, or several digits up to # when the agent asked for them
+    const collect = DIGIT_COLLECTION[collectDigits];
+    const gather = transfer ? null : vr.gather({
+      input: "speech dtmf",
+      ...(collect ? { finishOnKey: collect.finishOnKey, timeout: collect.timeout } : { numDigits: 1 }),
       action: `/twilio/handle-gather?businessId=${encodeURIComponent(businessId)}`,
       method: "POST",
-      language: "en-US",
+      language: voice.language,
       speechTimeout: "auto",
       bargeIn: true, // 🔑 allow interruption on every turn
     });
 
-    // Use ElevenLabs streaming TTS if enabled, otherwise fallback to Twilio TTS
-    if (ELEVENLABS_API_KEY && callSid) {
-      // Stream via ElevenLabs (async, don't wait for completion)
-      // The Media Stream will handle the audio delivery
-      streamElevenLabsToTwilio(callSid, trimmed).then(result => {
-        if (!result.success) {
-          console.warn(`[ELEVENLABS] Streaming failed for CallSid ${callSid}, error: ${result.error}`);
-          // Note: We can't fallback here since TwiML is already sent
-          // The Media Stream will just be silent if ElevenLabs fails
-        }
-      }).catch(err => {
-        console.error(`[ELEVENLABS] Unexpected error streaming TTS for CallSid ${callSid}:`, err);
+    // Use ElevenLabs streaming TTS if the Media Stream is up, otherwise Twilio TTS
+    let spokenViaStream = false;
+    let playback = "unconfirmed";  // Twilio <Say> doesn't tell us
+    if (ELEVENLABS_API_KEY && callSid && hasLocalMediaStream(callSid, session)) {
+      // Stream via ElevenLabs, then hold the TwiML until Twilio reports (via
+      // mark) that the caller heard it, so the next <Gather> starts on time
+      const result = await streamElevenLabsToTwilio(callSid, trimmed, {
+        messageIndex: replyIndex,
+        voiceId: voice.elevenLabsVoiceId
       });
-      
-      // Small pause to let Media Stream process
-      // The actual audio will come through the WebSocket
-      gather.pause({ length: 1 });
-    } else {
+      if (result.success) {
+        spokenViaStream = true;
+        const playbackState = await waitForPlayback(callSid, { timeoutMs: playbackWaitBudget(handlerStartedAt) });
+        console.log(`[PLAYBACK] Reply playback for CallSid ${callSid}: ${playbackState}`);
+        playback = TRANSCRIPT_PLAYBACK[playbackState] || "unconfirmed";
+      } else if (result.interrupted) {
+        // Caller is already talking; go straight to the <Gather>
+        spokenViaStream = true;
+        playback = "interrupted";
+      } else {
+        console.warn(`[ELEVENLABS] Streaming failed for CallSid ${callSid}, falling back to Twilio TTS: ${result.error}`);
+      }
+    }
+
+    if (!spokenViaStream) {
       // Fallback to Twilio TTS
-      gather.say(
-        {
-          voice: DEFAULT_TTS_VOICE,
-          language: "en-US",
-        },
+      (gather || vr).say(
+        sayAttributes(voice),
         `<speak>${trimmed}</speak>`
       );
     }
+    await recordTranscript(callSid, () => transcripts.setPlayback(callSid, transcriptTurn, playback));
 
-    // Keep conversation going with businessId
-    vr.redirect(`/twilio/voice?businessId=${encodeURIComponent(businessId)}`);
+    if (transfer) {
+      vr.redirect(transferPath(businessId));
+    } else {
+      // Keep conversation going with businessId
+      vr.redirect(`/twilio/voice?businessId=${encodeURIComponent(businessId)}`);
+    }
 
     res.type("text/xml");
     res.send(vr.toString());
@@ -945,19 +1828,428 @@ app.all("/twilio/process-agent", async (req, res) => {
     console.error("[FATAL] Error in /twilio/process-agent:", err);
     console.error("[FATAL] Error stack:", err.stack);
     
+    const voice = await getCallVoiceSafely(req.query?.callSid || req.body?.callSid || req.body?.CallSid);
     const vr = new VoiceResponse();
     vr.say(
-      {
-        voice: DEFAULT_TTS_VOICE,
-        language: "en-US"
-      },
-      "I'm sorry, I'm experiencing a technical issue. Please try calling again in a moment."
+      sayAttributes(voice),
+      gatewayPhrase(voice.language, "technicalIssue")
     );
     vr.hangup();
     res.type("text/xml").send(vr.toString());
   }
 });
 
+// ---------------------------------------------------------------------
+//  Warm transfer to a person: /twilio/transfer
+//  Reached from process-agent (<Redirect>), handle-gather (caller pressed 0)
+//  or the Media Stream path (REST redirect, see transferStreamCall).
+//  - <Dial>s the business's staff number (see callTransfer.js)
+//  - the staff member hears a whisper with the handoff summary first
+//  - no answer / no staff number -> voicemail
+// ---------------------------------------------------------------------
+app.post("/twilio/transfer", requireTwilioSignature(), async (req, res) => {
+  try {
+    const callSid = req.body.CallSid;
+    const to = req.body.To;
+    const session = await getSession(callSid);
+    const businessId = req.query.businessId || session.businessId;
+    const voice = await getCallVoice(callSid, session, { businessId, to });
+    const { number, timeoutSeconds } = await getTransferSettings({ businessId, to });
+    const from = req.body.From;
+
+    // Reached without an agent/keypad request (e.g. a direct redirect)
+    if (!session.transfer) {
+      await requestTransfer(callSid, { reason: "caller_request" }, "direct");
+    }
+
+    const vr = new VoiceResponse();
+
+    // Nobody to dial (no staff line, or the business is closed): voicemail
+    if (!number || session.afterHours) {
+      const dialStatus = number ? "after-hours" : "no-number";
+      console.warn(`[TRANSFER] Not dialing staff for CallSid ${callSid} (business ${businessId}, ${dialStatus}), going to voicemail`);
+      await updateTransfer(callSid, { status: "voicemail", dialStatus });
+      appendVoicemail(vr, voice, businessId, { from, reason: "transfer" });
+      res.type("text/xml").send(vr.toString());
+      return;
+    }
+
+    console.log(`[TRANSFER] Dialing staff for CallSid ${callSid} (business ${businessId}, timeout ${timeoutSeconds}s)`);
+    // The agent's own reply already told the caller they're being connected
+    if (session.transfer?.source !== "agent") {
+      vr.say(sayAttributes(voice), gatewayPhrase(voice.language, "transferring"));
+    }
+    // A business that records calls, but whose call recording didn't start:
+    // record the conversation with staff instead
+    const recording = session.recording;
+    const recordDial = recording && recording.mode !== "off" && recording.status === "failed";
+    const dial = vr.dial({
+      action: `/twilio/transfer-status?businessId=${encodeURIComponent(businessId || "")}`,
+      method: "POST",
+      timeout: timeoutSeconds,
+      ...(recordDial ? {
+        record: "record-from-answer-dual",
+        recordingStatusCallback: recordingStatusPath(businessId, recording.mode),
+        recordingStatusCallbackMethod: "POST",
+        recordingStatusCallbackEvent: "in-progress completed absent"
+      } : {})
+    });
+    dial.number({
+      url: `/twilio/transfer-whisper?callSid=${encodeURIComponent(callSid || "")}`,
+      method: "POST"
+    }, number);
+
+    res.type("text/xml").send(vr.toString());
+  } catch (err) {
+    // CRITICAL: Never throw - always return valid TwiML
+    console.error("[FATAL] Error in /twilio/transfer:", err);
+    console.error("[FATAL] Error stack:", err.stack);
+
+    const voice = await getCallVoiceSafely(req.body?.CallSid);
+    const vr = new VoiceResponse();
+    appendVoicemail(vr, voice, req.query?.businessId, { from: req.body?.From, reason: "transfer" });
+    res.type("text/xml").send(vr.toString());
+  }
+});
+
+// Whisper: played to the staff member when they answer, before the caller is bridged
+app.post("/twilio/transfer-whisper", requireTwilioSignature(), async (req, res) => {
+  const vr = new VoiceResponse();
+  try {
+    const callSid = req.query.callSid || req.body.ParentCallSid;
+    const session = callSid ? await sessionStore.get(callSid) : null;
+    const voice = session?.voice || getDefaultVoiceSettings();
+    const summary = buildHandoffSummary(session);
+
+    vr.say(sayAttributes(voice), [gatewayPhrase(voice.language, "whisperIntro"), summary].filter(Boolean).join(" "));
+  } catch (err) {
+    console.error("[FATAL] Error in /twilio/transfer-whisper:", err);
+    // An empty response still connects the call
+  }
+  res.type("text/xml").send(vr.toString());
+});
+
+// <Dial> finished: record the outcome; no answer -> voicemail
+app.post("/twilio/transfer-status", requireTwilioSignature(), async (req, res) => {
+  try {
+    const callSid = req.body.CallSid;
+    const dialStatus = req.body.DialCallStatus;
+    const dialDurationSeconds = parseInt(req.body.DialCallDuration, 10);
+    const businessId = req.query.businessId;
+    const connected = dialStatus === "completed" || dialStatus === "answered";
+
+    console.log(`[TRANSFER] Dial for CallSid ${callSid} ended: ${dialStatus}`);
+    await updateTransfer(callSid, {
+      status: connected ? "connected" : "voicemail",
+      dialStatus,
+      dialDurationSeconds: isNaN(dialDurationSeconds) ? null : dialDurationSeconds
+    });
+
+    const vr = new VoiceResponse();
+    if (connected) {
+      vr.hangup();
+    } else {
+      const voice = await getCallVoiceSafely(callSid);
+      appendVoicemail(vr, voice, businessId, { from: req.body.From, reason: "transfer" });
+    }
+    res.type("text/xml").send(vr.toString());
+  } catch (err) {
+    // CRITICAL: Never throw - always return valid TwiML
+    console.error("[FATAL] Error in /twilio/transfer-status:", err);
+    console.error("[FATAL] Error stack:", err.stack);
+
+    const vr = new VoiceResponse();
+    vr.hangup();
+    res.type("text/xml").send(vr.toString());
+  }
+});
+
+// Voicemail recorded (or the caller hung up during the prompt)
+app.post("/twilio/voicemail-complete", requireTwilioSignature(), async (req, res) => {
+  try {
+    const callSid = req.body.CallSid;
+    const reason = req.query.reason || "transfer";
+    const recordingDuration = parseInt(req.body.RecordingDuration, 10);
+    const durationSeconds = isNaN(recordingDuration) ? null : recordingDuration;
+
+    // core-api gets the recording itself from /twilio/voicemail-recording;
+    // this only notes it for the call-end report
+    if (req.body.RecordingUrl) {
+      console.log(`[VOICEMAIL] Voicemail (${reason}) recorded for CallSid ${callSid}: ${req.body.RecordingUrl}`);
+      await saveSession(callSid, {
+        voicemail: { reason, recordingUrl: req.body.RecordingUrl, durationSeconds }
+      });
+      if (reason === "transfer") {
+        await updateTransfer(callSid, {
+          voicemailRecordingUrl: req.body.RecordingUrl,
+          voicemailDurationSeconds: durationSeconds
+        });
+      }
+    }
+
+    const voice = await getCallVoiceSafely(callSid);
+    const vr = new VoiceResponse();
+    vr.say(sayAttributes(voice), gatewayPhrase(voice.language, "voicemailThanks"));
+    vr.hangup();
+    res.type("text/xml").send(vr.toString());
+  } catch (err) {
+    // CRITICAL: Never throw - always return valid TwiML
+    console.error("[FATAL] Error in /twilio/voicemail-complete:", err);
+    console.error("[FATAL] Error stack:", err.stack);
+
+    const vr = new VoiceResponse();
+    vr.hangup();
+    res.type("text/xml").send(vr.toString());
+  }
+});
+
+// ---------------------------------------------------------------------
+//  After hours: /twilio/after-hours
+//  Caller's answer to the after-hours menu from /twilio/voice:
+//  1 / "book" -> booking-only conversation, anything else -> voicemail
+// ---------------------------------------------------------------------
+app.post("/twilio/after-hours", requireTwilioSignature(), async (req, res) => {
+  try {
+    const callSid = req.body.CallSid;
+    const from = req.body.From;
+    const to = req.body.To;
+    const session = await getSession(callSid);
+    const businessId = req.query.businessId || session.businessId;
+    const voice = await getCallVoice(callSid, session, { businessId, to });
+    const choice = req.body.Digits === "1" || wantsBooking(req.body.SpeechResult) ? "booking" : "voicemail";
+
+    console.log(`[HOURS] CallSid ${callSid} chose ${choice} after hours (Digits: ${req.body.Digits || "-"}, speech: "${req.body.SpeechResult || ""}")`);
+    await saveSession(callSid, { afterHours: { ...(session.afterHours || {}), choice } });
+
+    const vr = new VoiceResponse();
+    if (choice === "booking" && businessId) {
+      vr.redirect(`/twilio/voice?businessId=${encodeURIComponent(businessId)}`);
+    } else {
+      appendVoicemail(vr, voice, businessId, { from, reason: "after_hours" });
+    }
+    res.type("text/xml").send(vr.toString());
+  } catch (err) {
+    // CRITICAL: Never throw - always return valid TwiML
+    console.error("[FATAL] Error in /twilio/after-hours:", err);
+    console.error("[FATAL] Error stack:", err.stack);
+
+    const voice = await getCallVoiceSafely(req.body?.CallSid);
+    const vr = new VoiceResponse();
+    appendVoicemail(vr, voice, req.query?.businessId, { from: req.body?.From, reason: "after_hours" });
+    res.type("text/xml").send(vr.toString());
+  }
+});
+
+// ---------------------------------------------------------------------
+//  Voicemail callbacks (from <Record>, see appendVoicemail)
+//  Usually arrive after the call has ended; forwarded to core-api through
+//  the outbox so the business owner gets the message:
+//  - /twilio/voicemail-recording     -> POST /internal/voicemails
+//  - /twilio/voicemail-transcription -> POST /internal/voicemails/transcription
+//  Both are keyed by RecordingSid so Twilio retries aren't forwarded twice.
+// ---------------------------------------------------------------------
+app.post("/twilio/voicemail-recording", requireTwilioSignature(), async (req, res) => {
+  try {
+    const { CallSid, RecordingSid, RecordingUrl, RecordingStatus, RecordingDuration } = req.body;
+    console.log(`[VOICEMAIL] Recording ${RecordingSid} for CallSid ${CallSid}: ${RecordingStatus}`);
+
+    if (RecordingStatus === "completed" && RecordingUrl) {
+      const durationSeconds = parseInt(RecordingDuration, 10);
+      await outbox.enqueue({
+        type: "voicemail.recording",
+        path: "/internal/voicemails",
+        idempotencyKey: `${RecordingSid}:voicemail.recording`,
+        body: {
+          callSid: CallSid,
+          businessId: req.query.businessId || null,
+          from: req.query.from || null,
+          reason: req.query.reason || null,  // "after_hours" | "transfer"
+          recordingSid: RecordingSid,
+          recordingUrl: RecordingUrl,
+          durationSeconds: isNaN(durationSeconds) ? null : durationSeconds
+        }
+      });
+    }
+  } catch (err) {
+    console.error("[VOICEMAIL] Error handling recording callback:", err);
+  }
+  res.type("text/xml").send("<Response></Response>");
+});
+
+app.post("/twilio/voicemail-transcription", requireTwilioSignature(), async (req, res) => {
+  try {
+    const { CallSid, RecordingSid, RecordingUrl, TranscriptionStatus, TranscriptionText } = req.body;
+    console.log(`[VOICEMAIL] Transcription for recording ${RecordingSid} (CallSid ${CallSid}): ${TranscriptionStatus}`);
+
+    await outbox.enqueue({
+      type: "voicemail.transcription",
+      path: "/internal/voicemails/transcription",
+      idempotencyKey: `${RecordingSid}:voicemail.transcription`,
+      body: {
+        callSid: CallSid,
+        businessId: req.query.businessId || null,
+        from: req.body.From || req.query.from || null,
+        to: req.body.To || null,
+        reason: req.query.reason || null,
+        recordingSid: RecordingSid,
+        recordingUrl: RecordingUrl || null,
+        transcriptionStatus: TranscriptionStatus,  // "completed" | "failed"
+        transcript: TranscriptionStatus === "completed" ? TranscriptionText || "" : null
+      }
+    });
+  } catch (err) {
+    console.error("[VOICEMAIL] Error handling transcription callback:", err);
+  }
+  res.type("text/xml").send("<Response></Response>");
+});
+
+// ---------------------------------------------------------------------
+//  Call recording status: /twilio/recording-status
+//  recordingStatusCallback for call recordings (see callRecording.js), both the
+//  REST one and <Dial> ones; every status is forwarded to core-api
+//  POST /internal/calls/recording, linked to the CallSid
+// ---------------------------------------------------------------------
+app.post("/twilio/recording-status", requireTwilioSignature(), async (req, res) => {
+  try {
+    const {
+      CallSid, RecordingSid, RecordingUrl, RecordingStatus, RecordingDuration,
+      RecordingChannels, RecordingSource, RecordingStartTime, ErrorCode
+    } = req.body;
+    console.log(`[RECORDING] Recording ${RecordingSid} for CallSid ${CallSid}: ${RecordingStatus}${ErrorCode ? ` (error ${ErrorCode})` : ""}`);
+
+    // The final "completed" usually arrives after the call (and its session) ended
+    const session = CallSid ? await sessionStore.get(CallSid) : null;
+    if (session) {
+      await saveSession(CallSid, {
+        recording: { ...(session.recording || {}), recordingSid: RecordingSid, status: RecordingStatus }
+      });
+    }
+
+    const durationSeconds = parseInt(RecordingDuration, 10);
+    await outbox.enqueue({
+      type: "call.recording",
+      path: "/internal/calls/recording",
+      idempotencyKey: `${RecordingSid}:call.recording:${RecordingStatus}`,
+      body: {
+        callSid: CallSid,
+        businessId: req.query.businessId || session?.businessId || null,
+        mode: req.query.mode || session?.recording?.mode || null,  // "announce" | "one_party"
+        recordingSid: RecordingSid,
+        recordingUrl: RecordingUrl || null,
+        status: RecordingStatus,  // "in-progress" | "completed" | "absent" | "failed"
+        durationSeconds: isNaN(durationSeconds) ? null : durationSeconds,
+        channels: Number(RecordingChannels) || null,
+        source: RecordingSource || null,  // "StartCallRecordingAPI" | "DialVerb"
+        startedAt: RecordingStartTime || null,
+        errorCode: ErrorCode || null
+      }
+    });
+  } catch (err) {
+    console.error("[RECORDING] Error handling recording callback:", err);
+  }
+  res.type("text/xml").send("<Response></Response>");
+});
+
+// ---------------------------------------------------------------------
+//  Inbound SMS: /twilio/sms
+//  - Same number, same business routing (resolveBusinessByTo) and agent as calls
+//  - One conversation per From/To pair (smsSessionStore), not per CallSid
+//  - Replies with <Message>, full details instead of toPhoneSentence's 2 sentences
+// ---------------------------------------------------------------------
+app.post("/twilio/sms", requireTwilioSignature(), async (req, res) => {
+  const mr = new Twiml.MessagingResponse();
+  try {
+    const from = req.body.From;
+    const to = req.body.To;
+    const text = (req.body.Body || "").trim();
+    const sessionId = smsSessionId(from, to);
+
+    console.log(`[SMS] Message from ${from} to ${to}: "${text.substring(0, 80)}"`);
+
+    const session = await smsSessionStore.getOrCreate(sessionId);
+    let businessId = session.businessId;
+    if (!businessId) {
+      businessId = await resolveBusinessByTo(to);
+      if (!businessId) {
+        const voice = await getVoiceSettings({ to });
+        mr.message(gatewayPhrase(voice.language, "notConfigured"));
+        res.type("text/xml").send(mr.toString());
+        return;
+      }
+    }
+
+    // The business's languages, detected from the first text like on a call
+    let language = session.language;
+    if (!language) {
+      const voice = await getVoiceSettings({ businessId, to });
+      language = detectLanguage(text, voice.languages.map(l => l.code)) || voice.language;
+    }
+    // Returning customer, looked up on the conversation's first text (see callerLookup.js)
+    const caller = session.caller === undefined
+      ? await lookupCaller({ businessId, phone: from })
+      : session.caller;
+    await smsSessionStore.update(sessionId, { businessId, language, caller });
+
+    if (!text) {
+      mr.message(toSmsText(null));
+      res.type("text/xml").send(mr.toString());
+      return;
+    }
+
+    await smsSessionStore.appendMessage(sessionId, { role: "user", content: text });
+    const { reply } = await runAgentForCall({
+      callSid: sessionId,
+      businessId,
+      from,
+      to,
+      speech: text,
+      store: smsSessionStore,
+      channel: "sms"
+    });
+
+    mr.message(toSmsText(reply));
+    res.type("text/xml").send(mr.toString());
+  } catch (err) {
+    // CRITICAL: Never throw - always return valid TwiML
+    console.error("[FATAL] Error in /twilio/sms:", err);
+    console.error("[FATAL] Error stack:", err.stack);
+
+    const fallback = new Twiml.MessagingResponse();
+    fallback.message(gatewayPhrase(null, "smsTechnicalIssue"));
+    res.type("text/xml").send(fallback.toString());
+  }
+});
+
+// ---------------------------------------------------------------------
+//  Outbound SMS delivery updates: /twilio/sms-status
+//  statusCallback for texts the gateway sends (booking confirmations);
+//  each status (queued, sent, delivered, undelivered, failed) is forwarded
+//  to core-api POST /internal/messages/status
+// ---------------------------------------------------------------------
+app.post("/twilio/sms-status", requireTwilioSignature(), async (req, res) => {
+  try {
+    const { MessageSid, MessageStatus, ErrorCode, To } = req.body;
+    console.log(`[SMS] Message ${MessageSid} to ${To}: ${MessageStatus}${ErrorCode ? ` (error ${ErrorCode})` : ""}`);
+
+    await outbox.enqueue({
+      type: "sms.status",
+      path: "/internal/messages/status",
+      idempotencyKey: `${MessageSid}:sms.status:${MessageStatus}`,
+      body: {
+        messageSid: MessageSid,
+        status: MessageStatus,
+        errorCode: ErrorCode || null,
+        to: To || null,
+        businessId: req.query.businessId || null,
+        bookingId: req.query.bookingId || null
+      }
+    });
+  } catch (err) {
+    console.error("[SMS] Error handling message status callback:", err);
+  }
+  res.type("text/xml").send("<Response></Response>");
+});
+
 // --- Debug endpoint removed: OpenAI dependency eliminated ---
 // The gateway now uses book8-voice-agent service for all agent interactions
 // Use the voice-agent service directly for agent chat functionality
@@ -978,7 +2270,7 @@ app.all("/twilio/process-agent", async (req, res) => {
 //  2. Maps status:
 //     - completed → completed
 //     - busy | failed | no-answer | canceled → failed
-//  3. POSTs to: POST {CORE_API}/internal/calls/end
+//  3. Queues POST {CORE_API}/internal/calls/end in the durable outbox (coreApiOutbox.js)
 //
 //  Twilio Configuration (REQUIRED):
 //  - Go to Phone Numbers > Manage > Active Numbers
@@ -988,7 +2280,7 @@ app.all("/twilio/process-agent", async (req, res) => {
 //    - Status Callback Events: At least "completed" (required)
 //    - Optional but nice: also "answered" (for in_progress tracking)
 // ---------------------------------------------------------------------
-app.post("/twilio/status-callback", async (req, res) => {
+app.post("/twilio/status-callback", requireTwilioSignature(), async (req, res) => {
   // Wrap entire handler in try/catch to prevent any crashes
   try {
     const {
@@ -1040,76 +2332,85 @@ app.post("/twilio/status-callback", async (req, res) => {
       }
     }
 
-    // Resolve businessId from To number
-    let businessId = null;
-    if (To) {
+    // Prefer the businessId the call was routed with; only re-resolve from
+    // the To number if the session is already gone
+    const endedSession = CallSid ? await sessionStore.get(CallSid) : null;
+    let businessId = endedSession?.businessId || null;
+    if (!businessId && To) {
       businessId = await resolveBusinessByTo(To);
     }
 
+    // Reminder calls that ended without an answer to the reminder
+    if (endedSession?.reminder && !endedSession.reminder.outcome) {
+      const reminderOutcome = CallStatus === "completed" ? "no_response" : "not_answered";
+      endedSession.reminder = { ...endedSession.reminder, outcome: reminderOutcome };
+      try {
+        await reportReminderOutcome(CallSid, endedSession, reminderOutcome);
+      } catch (err) {
+        console.error("Error reporting reminder outcome:", err);
+      }
+    }
+
+    // What the call achieved, from the session (see callOutcome.js)
+    const { outcome, summary, bookingIds } = classifyCallOutcome(endedSession);
+    console.log(`[OUTCOME] CallSid ${CallSid}: ${outcome} - ${summary}`);
+
     // Clean up session when call ends
-    if (CallSid && sessions.has(CallSid)) {
+    if (endedSession) {
       console.log(`Cleaning up session for ended call: ${CallSid}`);
-      sessions.delete(CallSid);
+      await sessionStore.delete(CallSid);
     }
 
     // B) Call core-api /internal/calls/end with durationSeconds
     // REQUIRED: This ensures accurate billing/usage tracking
     // Stripe billing is meaningless if usage isn't real - this endpoint guarantees every call is tracked
+    // Persisted to the outbox first, so a core-api outage or restart can't lose it
     try {
-      const coreApiUrl = `${CORE_API_BASE_URL}/internal/calls/end`;
-      const endCallBody = {
-        callSid: CallSid,
-        status: mappedStatus,  // Use mapped status (completed or failed)
-        from: From,
-        to: To,
-        businessId: businessId,
-        durationSeconds: durationSeconds,  // Duration in seconds
-        direction: Direction,
-        timestamp: Timestamp
-      };
-
-      const headers = {
-        "Content-Type": "application/json"
-      };
-      
-      // CRITICAL: Core API strictly requires this exact header name: x-book8-internal-secret
-      // Do NOT use a different header name (authorization, x-internal-secret, etc.)
-      // Value must come from process.env.CORE_API_INTERNAL_SECRET
-      if (CORE_API_INTERNAL_SECRET) {
-        headers["x-book8-internal-secret"] = CORE_API_INTERNAL_SECRET;
-        console.log("[DEBUG] Calling /internal/calls/end with secret header (length:", CORE_API_INTERNAL_SECRET.length, ")");
-        console.log("[DEBUG] Header name: x-book8-internal-secret");
-      } else {
-        console.error("ERROR: CORE_API_INTERNAL_SECRET is missing! Core API call will fail.");
-      }
-
-      console.log("[DEBUG] Core API URL:", coreApiUrl);
-      console.log("[DEBUG] Request headers:", JSON.stringify(Object.keys(headers)));
-      console.log("[DEBUG] Request body:", JSON.stringify(endCallBody));
-
-      const coreApiRes = await fetch(coreApiUrl, {
-        method: "POST",
-        headers: headers,
-        body: JSON.stringify(endCallBody)
+      await outbox.enqueue({
+        type: "call.end",
+        path: "/internal/calls/end",
+        idempotencyKey: `${CallSid}:call.end`,
+        body: {
+          callSid: CallSid,
+          status: mappedStatus,  // Use mapped status (completed or failed)
+          from: From,
+          to: To,
+          businessId: businessId,
+          durationSeconds: durationSeconds,  // Duration in seconds
+          direction: Direction,
+          timestamp: Timestamp,
+          // Handoff to a person, if any: { reason, status, dialStatus, voicemailRecordingUrl, ... }
+          transfer: endedSession?.transfer || null,
+          // Closed when the call came in: { reason, choice: "booking" | "voicemail" | null, ... }
+          afterHours: endedSession?.afterHours || null,
+          voicemail: endedSession?.voicemail || null,
+          // { mode, status, recordingSid, ... } when the business records calls
+          recording: endedSession?.recording || null,
+          // booked | rescheduled | cancelled | transferred | agent_error | abandoned_mid_booking | info_only
+          outcome,
+          summary,
+          bookingIds
+        }
       });
+    } catch (err) {
+      console.error("Error queueing core-api /internal/calls/end:", err);
+      // Don't fail the callback - Twilio expects a response
+    }
 
-      // Log response status and body (safe logging - limit body length)
-      const responseText = await coreApiRes.text();
-      console.log("[DEBUG] core-api /internal/calls/end status:", coreApiRes.status);
-      console.log("[DEBUG] core-api /internal/calls/end body:", responseText.slice(0, 500));
-
-      if (!coreApiRes.ok) {
-        console.error(
-          "Core API /internal/calls/end error:",
-          coreApiRes.status,
-          responseText
-        );
-      } else {
-        console.log("Successfully notified core-api of call end:", CallSid);
+    // Full transcript for review (see callTranscript.js); also kept here for
+    // GET /calls/:callSid/transcript until it expires
+    try {
+      const transcript = CallSid ? await transcripts.finish(CallSid, { status: CallStatus }) : null;
+      if (transcript) {
+        await outbox.enqueue({
+          type: "call.transcript",
+          path: "/internal/calls/transcript",
+          idempotencyKey: `${CallSid}:call.transcript`,
+          body: transcript
+        });
       }
     } catch (err) {
-      console.error("Error calling core-api /internal/calls/end:", err);
-      // Don't fail the callback - Twilio expects a response
+      console.error("Error queueing core-api /internal/calls/transcript:", err);
     }
 
     // Always respond to Twilio (even if core-api call failed)
@@ -1124,6 +2425,335 @@ app.post("/twilio/status-callback", async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------
+//  Outbound reminder calls (see outboundReminder.js)
+//  POST /outbound/reminder        - one reminder, called by core-api
+//  POST /outbound/reminder/batch  - { reminders: [...] }, up to MAX_BATCH_REMINDERS
+//  Twilio then fetches /twilio/reminder when the customer answers, and
+//  /twilio/reminder-response with their answer.
+// ---------------------------------------------------------------------
+
+// Helper: Record a reminder call's outcome and report it to core-api (once per call)
+async function reportReminderOutcome(callSid, session, outcome) {
+  const reminder = session.reminder;
+  console.log(`[REMINDER] CallSid ${callSid}, booking ${reminder.bookingId}: ${outcome}`);
+  await saveSession(callSid, { reminder: { ...reminder, outcome } });
+  await outbox.enqueue({
+    type: "reminder.outcome",
+    path: "/internal/reminders/outcome",
+    idempotencyKey: `${callSid}:reminder.outcome`,
+    body: {
+      callSid,
+      businessId: session.businessId,
+      bookingId: reminder.bookingId,
+      to: session.outbound?.customerPhone || null,
+      outcome,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+// Helper: Validate and place one reminder call; the session is set up before
+// Twilio can call back. Returns { ok, callSid } or { ok: false, status, error(s) }
+async function startReminderCall(raw, baseUrl) {
+  const { ok, reminder, errors } = validateReminderRequest(raw);
+  if (!ok) {
+    return { ok: false, status: 400, errors, bookingId: raw?.booking?.bookingId || null };
+  }
+
+  const placed = await placeReminderCall(reminder, { baseUrl });
+  if (!placed.ok) {
+    return { ok: false, status: 502, error: placed.error, bookingId: reminder.booking.bookingId };
+  }
+
+  const callSid = placed.callSid;
+  let voice = await getVoiceSettings({ businessId: reminder.businessId, to: reminder.from });
+  const language = matchLanguage(reminder.language, voice.languages.map(l => l.code));
+  if (language) voice = withLanguage(voice, language);
+
+  await saveSession(callSid, {
+    businessId: reminder.businessId,
+    voice,
+    language: voice.language,
+    languageChosen: true,
+    afterHours: null,  // A call we placed isn't subject to opening hours
+    publicBaseUrl: baseUrl,
+    outbound: { kind: "reminder", customerPhone: reminder.to, businessPhone: reminder.from },
+    reminder: { ...reminder.booking, outcome: null, attempts: 0 }
+  });
+
+  await outbox.enqueue({
+    type: "call.start",
+    path: "/internal/calls/start",
+    idempotencyKey: `${callSid}:call.start`,
+    body: {
+      callSid,
+      from: reminder.from,
+      to: reminder.to,
+      businessId: reminder.businessId,
+      direction: "outbound-reminder"
+    }
+  });
+  await recordTranscript(callSid, () => transcripts.start(callSid, {
+    businessId: reminder.businessId,
+    from: reminder.from,
+    to: reminder.to,
+    direction: "outbound-reminder"
+  }));
+  callsTotal.inc({ business: businessLabel(reminder.businessId), direction: "outbound-reminder" });
+
+  console.log(`[REMINDER] Placed reminder call ${callSid} for booking ${reminder.booking.bookingId}`);
+  return { ok: true, callSid, bookingId: reminder.booking.bookingId };
+}
+
+app.post("/outbound/reminder", requireInternalSecret, async (req, res) => {
+  try {
+    const result = await startReminderCall(req.body, getPublicBaseUrl(req));
+    if (!result.ok) {
+      return res.status(result.status).json({ ok: false, error: result.error, errors: result.errors });
+    }
+    res.json({ ok: true, callSid: result.callSid });
+  } catch (err) {
+    console.error("[REMINDER] Failed to place reminder call:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+app.post("/outbound/reminder/batch", requireInternalSecret, async (req, res) => {
+  const reminders = req.body?.reminders;
+  if (!Array.isArray(reminders) || reminders.length === 0) {
+    return res.status(400).json({ ok: false, error: "reminders must be a non-empty array" });
+  }
+  if (reminders.length > MAX_BATCH_REMINDERS) {
+    return res.status(400).json({ ok: false, error: `At most ${MAX_BATCH_REMINDERS} reminders per batch` });
+  }
+
+  // One at a time, to stay within Twilio's calls-per-second limit
+  const baseUrl = getPublicBaseUrl(req);
+  const results = [];
+  for (const reminder of reminders) {
+    try {
+      const { status, ...result } = await startReminderCall(reminder, baseUrl);
+      results.push(result);
+    } catch (err) {
+      console.error("[REMINDER] Failed to place reminder call:", err);
+      results.push({ ok: false, error: err.message, bookingId: reminder?.booking?.bookingId || null });
+    }
+  }
+
+  const placed = results.filter(r => r.ok).length;
+  res.json({ ok: true, placed, failed: results.length - placed, results });
+});
+
+// Helper: The reminder and the confirm / cancel / reschedule menu in one <Gather>
+function gatherReminderAnswer(vr, voice, businessId, lines) {
+  const gather = vr.gather({
+    input: "speech dtmf",
+    numDigits: 1,
+    action: `/twilio/reminder-response?businessId=${encodeURIComponent(businessId)}`,
+    method: "POST",
+    language: voice.language,
+    speechTimeout: "auto",
+    timeout: 6,
+    bargeIn: true
+  });
+  for (const line of lines) {
+    gather.say(sayAttributes(voice), line);
+  }
+  // No answer: /twilio/reminder-response asks again once, then gives up
+  vr.redirect(`/twilio/reminder-response?businessId=${encodeURIComponent(businessId)}`);
+}
+
+// Customer picked up: play the reminder (or leave it on their voicemail)
+app.post("/twilio/reminder", requireTwilioSignature(), async (req, res) => {
+  try {
+    const callSid = req.body.CallSid;
+    const session = await getSession(callSid);
+    const reminder = session.reminder;
+    const voice = session.voice || getDefaultVoiceSettings();
+    const businessId = req.query.businessId || session.businessId;
+    const vr = new VoiceResponse();
+
+    if (!reminder) {
+      console.warn(`[REMINDER] No reminder session for CallSid ${callSid}`);
+      vr.hangup();
+      res.type("text/xml").send(vr.toString());
+      return;
+    }
+
+    const script = await getReminderScript({
+      businessId,
+      businessPhone: session.outbound?.businessPhone,
+      booking: reminder,
+      language: voice.language
+    });
+
+    if (req.body.AnsweredBy?.startsWith("machine")) {
+      await reportReminderOutcome(callSid, session, "voicemail");
+      vr.say(sayAttributes(voice), `${script.intro} ${script.machine}`);
+      vr.hangup();
+      res.type("text/xml").send(vr.toString());
+      return;
+    }
+
+    gatherReminderAnswer(vr, voice, businessId, [script.intro, script.menu]);
+    res.type("text/xml").send(vr.toString());
+  } catch (err) {
+    // CRITICAL: Never throw - always return valid TwiML
+    console.error("[FATAL] Error in /twilio/reminder:", err);
+    console.error("[FATAL] Error stack:", err.stack);
+
+    const vr = new VoiceResponse();
+    vr.hangup();
+    res.type("text/xml").send(vr.toString());
+  }
+});
+
+// Customer's answer: confirm / cancel / reschedule (the agent takes over)
+app.post("/twilio/reminder-response", requireTwilioSignature(), async (req, res) => {
+  try {
+    const callSid = req.body.CallSid;
+    const session = await getSession(callSid);
+    const reminder = session.reminder;
+    const voice = session.voice || getDefaultVoiceSettings();
+    const businessId = req.query.businessId || session.businessId;
+    const phrase = (key) => gatewayPhrase(voice.language, key);
+    const vr = new VoiceResponse();
+
+    if (!reminder) {
+      vr.hangup();
+      res.type("text/xml").send(vr.toString());
+      return;
+    }
+
+    const answer = parseReminderAnswer({ digits: req.body.Digits, speech: req.body.SpeechResult });
+    console.log(`[REMINDER] CallSid ${callSid} answered: ${answer || "(none)"} (Digits: ${req.body.Digits || "-"}, speech: "${req.body.SpeechResult || ""}")`);
+
+    if (!answer) {
+      if (reminder.attempts < 1) {
+        await saveSession(callSid, { reminder: { ...reminder, attempts: reminder.attempts + 1 } });
+        const script = await getReminderScript({
+          businessId,
+          businessPhone: session.outbound?.businessPhone,
+          booking: reminder,
+          language: voice.language
+        });
+        gatherReminderAnswer(vr, voice, businessId, [phrase("reminderRetry"), script.menu]);
+      } else {
+        await reportReminderOutcome(callSid, session, "no_response");
+        vr.say(sayAttributes(voice), phrase("reminderNoResponse"));
+        vr.hangup();
+      }
+      res.type("text/xml").send(vr.toString());
+      return;
+    }
+
+    if (answer === "confirm") {
+      await reportReminderOutcome(callSid, session, "confirmed");
+      vr.say(sayAttributes(voice), phrase("reminderConfirmed"));
+      vr.hangup();
+    } else if (answer === "cancel") {
+      const outcome = await cancelRemindedBooking(businessId, reminder);
+      await reportReminderOutcome(callSid, session, outcome);
+      const spoken = { cancelled: "reminderCancelled", cancel_refused: "reminderCancelRefused", cancel_failed: "reminderCancelFailed" };
+      vr.say(sayAttributes(voice), phrase(spoken[outcome]));
+      vr.hangup();
+    } else {
+      // Reschedule: the rest of the call is a normal agent conversation, opened
+      // by /twilio/voice with the reschedule question. The note tells the agent
+      // which booking to move
+      await reportReminderOutcome(callSid, session, "reschedule_requested");
+      await sessionStore.appendMessage(callSid, {
+        role: "assistant",
+        content: `${phrase("reminderReschedule")} [Reminder call: rescheduling booking ${reminder.bookingId}, currently at ${reminder.start}]`
+      });
+      vr.redirect(`/twilio/voice?businessId=${encodeURIComponent(businessId)}`);
+    }
+    res.type("text/xml").send(vr.toString());
+  } catch (err) {
+    // CRITICAL: Never throw - always return valid TwiML
+    console.error("[FATAL] Error in /twilio/reminder-response:", err);
+    console.error("[FATAL] Error stack:", err.stack);
+
+    const voice = await getCallVoiceSafely(req.body?.CallSid);
+    const vr = new VoiceResponse();
+    vr.say(sayAttributes(voice), gatewayPhrase(voice.language, "technicalIssue"));
+    vr.hangup();
+    res.type("text/xml").send(vr.toString());
+  }
+});
+
+// --- ADMIN: PHONE ROUTING CACHE ---
+// Called when a number is assigned to a different business.
+// Body: { to: "+15551234567" } or { all: true }
+app.post("/admin/routing/invalidate", requireInternalSecret, (req, res) => {
+  const { to, all } = req.body || {};
+  if (!to && all !== true) {
+    return res.status(400).json({ ok: false, error: "Provide \"to\" or \"all\": true" });
+  }
+
+  const removed = invalidateResolvedBusiness(all === true ? undefined : to);
+  console.log(`[RESOLVE] Routing cache invalidated (${all === true ? "all" : to}): ${removed} entr${removed === 1 ? "y" : "ies"} removed`);
+  res.json({ ok: true, removed });
+});
+
+// --- CALL TRANSCRIPTS ---
+// A call's transcript (see callTranscript.js), while within TRANSCRIPT_RETENTION_HOURS:
+// GET /calls/CA123/transcript
+app.get("/calls/:callSid/transcript", requireInternalSecret, async (req, res) => {
+  try {
+    const transcript = await transcripts.get(req.params.callSid);
+    if (!transcript) {
+      return res.status(404).json({ ok: false, error: "No transcript for this call (unknown, or past retention)" });
+    }
+    res.json({ ok: true, transcript });
+  } catch (err) {
+    console.error(`[TRANSCRIPT] Failed to read transcript for CallSid ${req.params.callSid}:`, err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// --- ADMIN: CORE-API OUTBOX ---
+// Inspect queued / dead-lettered core-api events: GET /admin/outbox?status=dead
+app.get("/admin/outbox", requireInternalSecret, async (req, res) => {
+  try {
+    const status = req.query.status;
+    if (status && status !== "pending" && status !== "dead") {
+      return res.status(400).json({ ok: false, error: "status must be \"pending\" or \"dead\"" });
+    }
+    const events = await outbox.list({ status });
+    res.json({ ok: true, count: events.length, events });
+  } catch (err) {
+    console.error("[OUTBOX] Failed to list events:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Replay every dead-lettered event
+app.post("/admin/outbox/replay", requireInternalSecret, async (req, res) => {
+  try {
+    const replayed = await outbox.replayDead();
+    res.json({ ok: true, replayed });
+  } catch (err) {
+    console.error("[OUTBOX] Failed to replay dead letters:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Replay one event by idempotency key
+app.post("/admin/outbox/:id/replay", requireInternalSecret, async (req, res) => {
+  try {
+    const found = await outbox.replay(req.params.id);
+    if (!found) {
+      return res.status(404).json({ ok: false, error: "Event not found" });
+    }
+    res.json({ ok: true, replayed: 1 });
+  } catch (err) {
+    console.error("[OUTBOX] Failed to replay event:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 // --- 404 FALLBACK ---
 app.use((req, res) => {
   res.status(404).json({ ok: false, error: "Not found" });
@@ -1137,16 +2767,35 @@ server.listen(PORT, "0.0.0.0", () => {
   console.log("[STARTUP]   POST   /twilio/voice");
   console.log("[STARTUP]   POST   /twilio/handle-gather");
   console.log("[STARTUP]   ALL    /twilio/process-agent (supports GET and POST)");
+  console.log("[STARTUP]   POST   /twilio/transfer, /twilio/transfer-whisper, /twilio/transfer-status");
+  console.log("[STARTUP]   POST   /twilio/after-hours");
+  console.log("[STARTUP]   POST   /twilio/voicemail-complete, /twilio/voicemail-recording, /twilio/voicemail-transcription");
+  console.log("[STARTUP]   POST   /twilio/recording-start, /twilio/recording-status");
   console.log("[STARTUP]   POST   /twilio/status-callback");
+  console.log("[STARTUP]   POST   /twilio/sms (inbound text messages), /twilio/sms-status");
   console.log("[STARTUP]   GET    /twilio/ping (smoke test)");
   console.log("[STARTUP]   GET    /health");
-  console.log("[STARTUP]   WS     /twilio/media-stream (ElevenLabs TTS streaming)");
+  console.log("[STARTUP]   GET    /metrics (Prometheus)");
+  console.log("[STARTUP]   POST   /admin/routing/invalidate (internal secret)");
+  console.log("[STARTUP]   GET    /admin/outbox, POST /admin/outbox/replay, POST /admin/outbox/:id/replay (internal secret)");
+  console.log("[STARTUP]   POST   /outbound/reminder, /outbound/reminder/batch (internal secret)");
+  console.log("[STARTUP]   POST   /twilio/reminder, /twilio/reminder-response");
+  console.log("[STARTUP]   GET    /calls/:callSid/transcript (internal secret)");
+  console.log("[STARTUP]   WS     /twilio/media-stream (ElevenLabs TTS streaming + inbound STT)");
   console.log("[STARTUP] ==========================================");
-  console.log("[STARTUP] Voice Agent URL:", VOICE_AGENT_URL);
+  console.log(`[STARTUP] Agent backend: ${agentBackends.default.name}${agentBackends.default.url ? ` (${agentBackends.default.url})` : ""}`);
+  console.log("[STARTUP] Session store:", sessionStore.name, "(instance:", INSTANCE_ID, ")");
+  console.log("[STARTUP] Core-api outbox store:", outbox.store);
+  console.log(`[STARTUP] Call transcripts: ${transcripts.name} store, kept ${TRANSCRIPT_RETENTION_MS / 3600000} h`);
   if (ELEVENLABS_API_KEY) {
     console.log("[STARTUP] ✅ ElevenLabs TTS: ENABLED (Agent ID:", ELEVENLABS_AGENT_ID, ")");
   } else {
     console.log("[STARTUP] ⚠️  ElevenLabs TTS: DISABLED (using Twilio TTS fallback)");
   }
+  if (sttProvider) {
+    console.log("[STARTUP] ✅ Streaming STT: ENABLED (provider:", sttProvider.name, ")");
+  } else {
+    console.log("[STARTUP] Streaming STT: DISABLED (using <Gather> speech recognition)");
+  }
   console.log("[STARTUP] ✅ Gateway ready to accept requests");
 });
@@ -0,0 +1,28 @@
+// internalAuth.js
+// Express middleware for gateway endpoints that only core-api / ops may call
+// (admin, internal). Callers send the same shared secret core-api expects from
+// us: x-book8-internal-secret = CORE_API_INTERNAL_SECRET.
+import crypto from "crypto";
+import { CORE_API_INTERNAL_SECRET } from "./coreApiClient.js";
+
+function secretsMatch(given, expected) {
+  const a = Buffer.from(given || "");
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Reject with 401 unless the request carries the internal secret.
+// Without a configured secret the endpoint is closed (503), never open.
+export function requireInternalSecret(req, res, next) {
+  if (!CORE_API_INTERNAL_SECRET) {
+    console.warn(`[INTERNAL-AUTH] ${req.method} ${req.path} rejected: CORE_API_INTERNAL_SECRET is not set`);
+    return res.status(503).json({ ok: false, error: "Internal auth not configured" });
+  }
+
+  if (!secretsMatch(req.get("x-book8-internal-secret"), CORE_API_INTERNAL_SECRET)) {
+    console.warn(`[INTERNAL-AUTH] ${req.method} ${req.path} rejected: bad or missing secret (ip: ${req.ip})`);
+    return res.status(401).json({ ok: false, error: "Unauthorized" });
+  }
+
+  next();
+}
@@ -0,0 +1,136 @@
+// keypadMenu.js
+// What keypad presses mean on a call. Every <Gather> takes speech and DTMF,
+// so callers in noisy places can still get around.
+//
+// Per business, from the profile (or BUSINESSES_BY_PHONE) `keypadMenu`:
+//   { "1": "book", "2": "change", "0": "staff" }   (the default)
+//   false                                           (no menu; 0 still reaches staff)
+// Actions: book | change | cancel | hours | staff. "staff" transfers the call,
+// the others are passed to the agent as what the caller asked for. A menu set
+// in the profile is also read out after the greeting; the default one isn't.
+//
+// Digit collection: when the agent asks for a phone number or confirmation
+// code, the next <Gather> takes several digits ending with # and the agent is
+// told what was typed.
+import { getOwnBusinessProfile } from "./businessProfile.js";
+import { BUSINESSES_BY_PHONE } from "./businessConfig.js";
+import { baseLanguage } from "./callLanguage.js";
+
+export const KEYPAD_ACTIONS = ["book", "change", "cancel", "hours", "staff"];
+export const DEFAULT_KEYPAD_MENU = { "1": "book", "2": "change", "0": "staff" };
+
+// <Gather> settings per digit-collection kind
+export const DIGIT_COLLECTION = {
+  phone: { finishOnKey: "#", timeout: 10, label: "phone number" },
+  code: { finishOnKey: "#", timeout: 10, label: "confirmation code" }
+};
+
+// What the agent is told the caller wants
+const ACTION_REQUESTS = {
+  book: "wants to book an appointment",
+  change: "wants to change an existing booking",
+  cancel: "wants to cancel a booking",
+  hours: "wants to know the opening hours",
+  staff: "wants to talk to a person"
+};
+
+// Spoken menu entries, by base language
+const MENU_PROMPTS = {
+  en: {
+    book: (d) => `To book an appointment, press ${d}.`,
+    change: (d) => `To change a booking, press ${d}.`,
+    cancel: (d) => `To cancel a booking, press ${d}.`,
+    hours: (d) => `For our opening hours, press ${d}.`,
+    staff: (d) => `To talk to someone, press ${d}.`
+  },
+  fr: {
+    book: (d) => `Pour prendre rendez-vous, appuyez sur le ${d}.`,
+    change: (d) => `Pour modifier un rendez-vous, appuyez sur le ${d}.`,
+    cancel: (d) => `Pour annuler un rendez-vous, appuyez sur le ${d}.`,
+    hours: (d) => `Pour nos heures d'ouverture, appuyez sur le ${d}.`,
+    staff: (d) => `Pour parler à quelqu'un, appuyez sur le ${d}.`
+  },
+  es: {
+    book: (d) => `Para hacer una cita, oprima el ${d}.`,
+    change: (d) => `Para cambiar una cita, oprima el ${d}.`,
+    cancel: (d) => `Para cancelar una cita, oprima el ${d}.`,
+    hours: (d) => `Para nuestro horario, oprima el ${d}.`,
+    staff: (d) => `Para hablar con alguien, oprima el ${d}.`
+  }
+};
+
+// The agent asking for something best typed on the keypad
+const DIGIT_REQUESTS = [
+  { kind: "phone", pattern: /\b(phone number|num[ée]ro de t[ée]l[ée]phone|n[úu]mero de tel[ée]fono)\b/i },
+  { kind: "code", pattern: /\b(confirmation (code|number)|booking (code|number)|code de confirmation|c[óo]digo de confirmaci[óo]n)\b/i }
+];
+
+/**
+ * Problems with a profile's keypadMenu, as strings for validateBusinessProfile().
+ */
+export function validateKeypadMenu(raw) {
+  const menu = raw.keypadMenu;
+  if (menu == null || menu === false) return [];
+  if (typeof menu !== "object" || Array.isArray(menu)) {
+    return ["keypadMenu must be an object of digit -> action, or false"];
+  }
+
+  const errors = [];
+  for (const [digit, action] of Object.entries(menu)) {
+    if (!/^[0-9]$/.test(digit)) errors.push(`keypadMenu key "${digit}" must be a single digit 0-9`);
+    if (!KEYPAD_ACTIONS.includes(action)) {
+      errors.push(`keypadMenu.${digit} must be one of ${KEYPAD_ACTIONS.join(", ")}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * The keypad menu for a call to `to`, routed to `businessId`:
+ * { menu: { digit: action }, announce }. announce is true when the business
+ * set its own menu. Never throws.
+ */
+export async function getKeypadMenu({ businessId, to }) {
+  const profile = await getOwnBusinessProfile(businessId);
+  const phoneConfig = BUSINESSES_BY_PHONE[to];
+
+  const configured = profile?.keypadMenu !== undefined ? profile.keypadMenu : phoneConfig?.keypadMenu;
+  if (configured === false) {
+    return { menu: { "0": "staff" }, announce: false };
+  }
+  if (configured && typeof configured === "object") {
+    // 0 stays the way to a person unless the business gives it another job
+    return { menu: { "0": "staff", ...configured }, announce: true };
+  }
+  return { menu: { ...DEFAULT_KEYPAD_MENU }, announce: false };
+}
+
+// "To book an appointment, press 1. To talk to someone, press 0." in the call
+// language; digits in `skip` (taken by the language menu) are left out
+export function keypadMenuPrompt(menu, language, skip = []) {
+  const prompts = MENU_PROMPTS[baseLanguage(language)] || MENU_PROMPTS.en;
+  return Object.entries(menu)
+    .filter(([digit, action]) => !skip.includes(digit) && prompts[action])
+    .sort(([a], [b]) => (a === "0") - (b === "0") || a.localeCompare(b))
+    .map(([digit, action]) => prompts[action](digit))
+    .join(" ");
+}
+
+// The user message the agent gets for a menu press
+export function describeKeypadPress(digit, action) {
+  return action
+    ? `(Caller pressed ${digit} on the keypad: ${ACTION_REQUESTS[action] || action})`
+    : `(Caller pressed ${digit} on the keypad, which is not a menu option)`;
+}
+
+// The user message the agent gets for digits typed in collection mode
+export function describeKeypadEntry(kind, digits) {
+  const label = DIGIT_COLLECTION[kind]?.label || "number";
+  return `(Caller typed their ${label} on the keypad: ${digits})`;
+}
+
+// "phone" | "code" when the agent's reply asks for one, else null
+export function digitCollectionFor(reply) {
+  const text = String(reply || "");
+  return DIGIT_REQUESTS.find(r => r.pattern.test(text))?.kind || null;
+}
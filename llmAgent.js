@@ -1,8 +1,16 @@
 // llmAgent.js
 import dotenv from "dotenv";
 import OpenAI from "openai";
-import { BUSINESS_PROFILE, buildSystemPrompt, TOOLS, getServiceById } from "./agentConfig.js";
-import { checkAvailability, bookAppointment } from "./book8Client.js";
+import { buildSystemPrompt, TOOLS, getServiceById, checkCancellationWindow } from "./agentConfig.js";
+import { getBusinessProfile } from "./businessProfile.js";
+import {
+  checkAvailability,
+  bookAppointment,
+  findBookings,
+  rescheduleAppointment,
+  cancelAppointment,
+} from "./book8Client.js";
+import { isCallerIdNumber } from "./callerLookup.js";
 
 dotenv.config();
 
@@ -13,136 +21,267 @@ const openai = new OpenAI({
 // choose a cost-friendly model here
 const MODEL = "gpt-4o-mini"; // Using chat completions API
 
+const MAX_TOOL_ROUNDS = 5;           // Model <-> tools round trips per turn
+const TURN_BUDGET_MS = 20000;        // Total time for one turn, tools included
+const MIN_FINAL_ANSWER_MS = 2000;    // Skip the tool-less final answer below this
+
+// Who the caller is, as far as their bookings go: { phone, email }.
+// phone is the number the call (or text) really comes from, never one the
+// caller says. email is only the one core-api has on file for that number (see
+// callerLookup.js), so it is verified by the caller ID; an email the caller
+// gives is never used to find or change bookings.
+function callerIdentity(callerPhone, caller) {
+  return {
+    phone: isCallerIdNumber(callerPhone) ? callerPhone : null,
+    email: caller?.email || null
+  };
+}
+
+// The caller's own upcoming bookings, by their identity. Each identity is
+// looked up on its own, so one can't widen the other's matches.
+async function findCallerBookings(identity) {
+  const lookups = [];
+  if (identity.phone) lookups.push(findBookings({ guestPhone: identity.phone }));
+  if (identity.email) lookups.push(findBookings({ guestEmail: identity.email }));
+
+  const byId = new Map();
+  for (const result of await Promise.all(lookups)) {
+    for (const b of result.bookings || []) byId.set(b.id || b.bookingId, b);
+  }
+  return [...byId.values()];
+}
+
+// Returned when the caller can't be identified (withheld number, nothing on file)
+const CALLER_NOT_IDENTIFIED = {
+  ok: false,
+  error: "caller_not_identified",
+  message: "Bookings can only be looked up for the number the caller is calling from, which is withheld or unknown."
+};
+
+// Run one tool call and return its result (sent back to the model as JSON).
+// Tool errors are returned as { ok: false, error } so the model can recover.
+// identity: see callerIdentity(); the only thing existing bookings are matched on
+async function runTool(name, args, profile, identity) {
+  try {
+    if (name === "check_availability") {
+      const { date, timezone, durationMinutes, serviceId } = args;
+
+      // we don't actually need serviceId to hit Book8, but you might log it:
+      const service = serviceId ? getServiceById(profile, serviceId) : null;
+      console.log("[agent] check_availability for", {
+        date,
+        timezone,
+        durationMinutes,
+        service: service?.label,
+      });
+
+      return await checkAvailability({
+        date,
+        timezone: timezone || profile.timezone,
+        durationMinutes,
+      });
+    }
+
+    if (name === "book_appointment") {
+      const {
+        start,
+        guestName,
+        guestEmail,
+        guestPhone,
+        serviceId,
+      } = args;
+
+      const service = serviceId ? getServiceById(profile, serviceId) : null;
+      console.log("[agent] book_appointment", {
+        start,
+        guestName,
+        service: service?.label,
+      });
+
+      return await bookAppointment({
+        start,
+        guestName,
+        guestEmail,
+        guestPhone,
+      });
+    }
+
+    if (name === "find_bookings") {
+      console.log("[agent] find_bookings", identity);
+      if (!identity.phone && !identity.email) return CALLER_NOT_IDENTIFIED;
+
+      return { ok: true, bookings: await findCallerBookings(identity) };
+    }
+
+    if (name === "reschedule_appointment" || name === "cancel_appointment") {
+      const { bookingId, newStart, reason } = args;
+      console.log(`[agent] ${name}`, { bookingId, newStart });
+      if (!identity.phone && !identity.email) return CALLER_NOT_IDENTIFIED;
+
+      // Only the caller's own bookings, so the model can't act on a bookingId
+      // it made up or one that belongs to someone else
+      const booking = (await findCallerBookings(identity)).find(b => (b.id || b.bookingId) === bookingId) || null;
+      const refusal = booking
+        ? checkCancellationWindow(profile, booking)
+        : { ok: false, error: "booking_not_found", message: "No booking with that id for this caller." };
+      if (refusal) {
+        console.log(`[agent] ${name} refused for ${bookingId}:`, refusal.error);
+        return refusal;
+      }
+
+      return name === "reschedule_appointment"
+        ? await rescheduleAppointment({ bookingId, newStart })
+        : await cancelAppointment({ bookingId, reason });
+    }
+
+    console.warn("[agent] Unknown tool name", name);
+    return { ok: false, error: `Unknown tool: ${name}` };
+  } catch (err) {
+    console.error("[agent] Tool error", name, err);
+    return {
+      ok: false,
+      error: err.message || "Tool failed",
+    };
+  }
+}
+
+// What the gateway needs to confirm a booking by SMS (always to the caller ID):
+// { bookingId, start, serviceLabel, guestName, guestEmail }
+function bookingFromResult(args, result, profile) {
+  const booked = result?.booking || {};
+  return {
+    bookingId: booked.id || result?.bookingId || null,
+    start: booked.start || args.start,
+    serviceLabel: args.serviceId ? getServiceById(profile, args.serviceId)?.label || null : null,
+    guestName: args.guestName || null,
+    guestEmail: args.guestEmail || null,
+  };
+}
+
 /**
- * Run a single agent turn:
- * - userMessage: text from the customer
- * - handle: which business (e.g. "waismofit")
+ * Run one agent turn, looping over tool calls until the model answers in text
+ * (e.g. check_availability -> book_appointment in the same turn).
+ * - messages: conversation so far without the system prompt (user / assistant /
+ *   tool messages, as returned by the previous turn)
+ * - userMessage: text from the customer, appended to messages
+ * - businessId: resolved business (profile is loaded from core-api)
+ * - language: caller's language for this call (e.g. "fr-CA"), optional
+ * - callerPhone: the real caller ID (Twilio From), optional. Existing bookings
+ *   are only ever found by it and by the email on file for it (see callerIdentity)
+ * - afterHours: business is closed; appointments only, no transfer_to_human
+ * - channel: "voice" (default) or "sms"; SMS has no transfer_to_human either
+ * - caller: returning customer's details (see callerLookup.js), optional
+ * - budgetMs: total time for the turn (default TURN_BUDGET_MS)
+ * Stops after MAX_TOOL_ROUNDS rounds or budgetMs, whichever comes first.
+ *
+ * Returns { text, messages, raw, transfer, bookings, toolCalls }: messages is the input history
+ * plus this turn's user, tool and assistant messages; persist it for the next turn.
+ * transfer is { reason, summary } when the model asked to hand the call to a person.
+ * bookings lists the appointments booked this turn (see bookingFromResult).
+ * toolCalls lists every tool run this turn, in order: { name, arguments, result }.
  */
-export async function runAgentTurn({ handle, userMessage }) {
-  // For now, use the static BUSINESS_PROFILE
-  // Later we can fetch by handle from Book8
-  const profile = BUSINESS_PROFILE;
-  const systemPrompt = buildSystemPrompt(profile);
-
-  const messages = [
-    { role: "system", content: systemPrompt },
-    { role: "user", content: userMessage },
-  ];
-
-  // 1. Ask the model; allow tool calls
-  let response = await openai.chat.completions.create({
-    model: MODEL,
-    messages: messages,
-    tools: TOOLS,
-    tool_choice: "auto",
-  });
-
-  // Helper to normalize outputs
-  const assistantMessage = response.choices[0]?.message;
-  if (!assistantMessage) {
-    throw new Error("No output from model");
+export async function runAgentTurn({
+  businessId,
+  messages: history = [],
+  userMessage,
+  language,
+  callerPhone,
+  afterHours = false,
+  channel = "voice",
+  caller = null,
+  budgetMs = TURN_BUDGET_MS,
+}) {
+  const startedAt = Date.now();
+  const profile = await getBusinessProfile(businessId);
+  const identity = callerIdentity(callerPhone, caller);
+  const systemPrompt = buildSystemPrompt(profile, { language, callerPhone, afterHours, channel, caller });
+  // Nobody to transfer to after hours, and nothing to transfer over SMS
+  const canTransfer = !afterHours && channel === "voice";
+  const tools = canTransfer ? TOOLS : TOOLS.filter(t => t.function.name !== "transfer_to_human");
+
+  const messages = [...history];
+  if (userMessage) {
+    messages.push({ role: "user", content: userMessage });
   }
 
-  // 2. If the model wants to call tools, handle them
-  if (assistantMessage.tool_calls && assistantMessage.tool_calls.length > 0) {
-    const toolCalls = assistantMessage.tool_calls;
+  const remainingMs = () => budgetMs - (Date.now() - startedAt);
+  const complete = (toolChoice) => openai.chat.completions.create(
+    {
+      model: MODEL,
+      messages: [{ role: "system", content: systemPrompt }, ...messages],
+      tools,
+      tool_choice: toolChoice,
+    },
+    { timeout: Math.max(1000, remainingMs()), maxRetries: 0 }
+  );
 
-    const toolResults = [];
+  let response = null;
+  let transfer = null;
+  const bookings = [];
+  const toolCalls = [];
+  for (let round = 1; round <= MAX_TOOL_ROUNDS && remainingMs() > 0; round++) {
+    response = await complete("auto");
 
-    for (const call of toolCalls) {
-      const { function: func, id: call_id } = call;
-      const name = func.name;
-      const args = JSON.parse(func.arguments || "{}");
+    const assistantMessage = response.choices[0]?.message;
+    if (!assistantMessage) {
+      throw new Error("No output from model");
+    }
+    // Keep only what the API needs back, so persisted history stays small
+    messages.push({
+      role: "assistant",
+      content: assistantMessage.content ?? null,
+      ...(assistantMessage.tool_calls?.length ? { tool_calls: assistantMessage.tool_calls } : {}),
+    });
 
+    if (!assistantMessage.tool_calls || assistantMessage.tool_calls.length === 0) {
+      const text = assistantMessage.content || "Sorry, I couldn't generate a response.";
+      return { text, messages, raw: response, transfer, bookings, toolCalls };
+    }
+
+    // Run this round's tools, then go around again with their results
+    for (const call of assistantMessage.tool_calls) {
+      const { function: func, id: call_id } = call;
+      let args = {};
       try {
-        if (name === "check_availability") {
-          const { date, timezone, durationMinutes, serviceId } = args;
-
-          // we don't actually need serviceId to hit Book8, but you might log it:
-          const service = serviceId ? getServiceById(profile, serviceId) : null;
-          console.log("[agent] check_availability for", {
-            date,
-            timezone,
-            durationMinutes,
-            service: service?.label,
-          });
-
-          const availability = await checkAvailability({
-            date,
-            timezone: timezone || profile.timezone,
-            durationMinutes,
-          });
-
-          toolResults.push({
-            role: "tool",
-            tool_call_id: call_id,
-            name,
-            content: JSON.stringify(availability),
-          });
-        } else if (name === "book_appointment") {
-          const {
-            start,
-            guestName,
-            guestEmail,
-            guestPhone,
-            serviceId,
-          } = args;
-
-          const service = serviceId ? getServiceById(profile, serviceId) : null;
-          console.log("[agent] book_appointment", {
-            start,
-            guestName,
-            service: service?.label,
-          });
-
-          const booking = await bookAppointment({
-            start,
-            guestName,
-            guestEmail,
-            guestPhone,
-          });
-
-          toolResults.push({
-            role: "tool",
-            tool_call_id: call_id,
-            name,
-            content: JSON.stringify(booking),
-          });
-        } else {
-          console.warn("[agent] Unknown tool name", name);
+        args = JSON.parse(func.arguments || "{}");
+      } catch {
+        console.warn("[agent] Bad tool arguments for", func.name);
+      }
+
+      // The gateway does the actual transfer once this turn's reply is spoken
+      let result;
+      if (func.name === "transfer_to_human") {
+        transfer = { reason: args.reason || "caller_request", summary: args.summary || "" };
+        console.log("[agent] transfer_to_human", transfer);
+        result = { ok: true, transferring: true };
+      } else {
+        result = await runTool(func.name, args, profile, identity);
+        if (func.name === "book_appointment" && result?.ok !== false) {
+          bookings.push(bookingFromResult(args, result, profile));
         }
-      } catch (err) {
-        console.error("[agent] Tool error", name, err);
-        toolResults.push({
-          role: "tool",
-          tool_call_id: call_id,
-          name,
-          content: JSON.stringify({
-            ok: false,
-            error: err.message || "Tool failed",
-          }),
-        });
       }
+      messages.push({
+        role: "tool",
+        tool_call_id: call_id,
+        name: func.name,
+        content: JSON.stringify(result),
+      });
+      toolCalls.push({ name: func.name, arguments: args, result });
     }
-
-    // 3. Send tool outputs back to the model and get the final reply
-    response = await openai.chat.completions.create({
-      model: MODEL,
-      messages: [
-        ...messages,
-        assistantMessage,
-        ...toolResults,
-      ],
-    });
   }
 
-  const finalMessage = response.choices[0]?.message;
-  if (!finalMessage) {
-    throw new Error("No final output from model");
+  // Out of rounds or time: one last answer without tools, if there's time for it
+  console.warn(`[agent] Tool loop stopped after ${Date.now() - startedAt} ms without a final answer`);
+  if (remainingMs() > MIN_FINAL_ANSWER_MS) {
+    response = await complete("none");
+    const finalMessage = response.choices[0]?.message;
+    if (finalMessage?.content) {
+      messages.push({ role: "assistant", content: finalMessage.content });
+      return { text: finalMessage.content, messages, raw: response, transfer, bookings, toolCalls };
+    }
   }
 
-  const text = finalMessage.content || "Sorry, I couldn't generate a response.";
-
-  return { text, raw: response };
+  const text = "Sorry, that's taking longer than expected. Could you give me a moment and ask again?";
+  messages.push({ role: "assistant", content: text });
+  return { text, messages, raw: response, transfer, bookings, toolCalls };
 }
-
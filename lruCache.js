@@ -0,0 +1,66 @@
+// lruCache.js
+// Small in-process LRU cache with per-entry TTL.
+// A Map keeps insertion order, so re-inserting on read moves a key to the
+// "most recently used" end and the first key is always the eviction candidate.
+
+/**
+ * createLruCache({ maxEntries, ttlMs })
+ * - get(key): value, or undefined if missing/expired
+ * - getEntry(key): { value, storedAt, ageMs }, or undefined if missing/expired
+ *   (use ageMs to tell fresh from stale within the TTL)
+ * - set(key, value, { ttlMs }): per-entry TTL override (e.g. shorter negative caching)
+ */
+export function createLruCache({ maxEntries = 500, ttlMs = Infinity } = {}) {
+  const entries = new Map();
+
+  const readEntry = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (Date.now() >= entry.expiresAt) {
+      entries.delete(key);
+      return undefined;
+    }
+    // Refresh recency
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  return {
+    get(key) {
+      return readEntry(key)?.value;
+    },
+
+    getEntry(key) {
+      const entry = readEntry(key);
+      if (!entry) return undefined;
+      return { value: entry.value, storedAt: entry.storedAt, ageMs: Date.now() - entry.storedAt };
+    },
+
+    has(key) {
+      return readEntry(key) !== undefined;
+    },
+
+    set(key, value, { ttlMs: entryTtlMs = ttlMs } = {}) {
+      const now = Date.now();
+      entries.delete(key);
+      entries.set(key, { value, storedAt: now, expiresAt: now + entryTtlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
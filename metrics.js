@@ -0,0 +1,151 @@
+// metrics.js
+// Prometheus metrics, served by index.js at GET /metrics (text format).
+// Where the seconds go on a turn: business routing, the agent, ElevenLabs and
+// core-api latency histograms, plus call / turn / failure counters and gauges
+// for live sessions and Media Streams. Process metrics (CPU, memory, event loop
+// lag) come from prom-client's defaults.
+//
+// Labels: `business` is the businessId a call was routed to - ids we assign, so
+// a bounded set. Phone numbers and CallSids are never used as labels. Anything
+// that doesn't look like a business id is "unknown", and past
+// MAX_BUSINESS_LABELS distinct businesses new ones share "other". core-api
+// calls are labelled by route, with ids in the path replaced by placeholders.
+import client from "prom-client";
+
+const PREFIX = "voice_gateway_";
+const MAX_BUSINESS_LABELS = 500;
+const BUSINESS_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const seenBusinesses = new Set();
+
+// The `business` label for a businessId (see above)
+export function businessLabel(businessId) {
+  if (!businessId || !BUSINESS_ID.test(businessId)) return "unknown";
+  if (seenBusinesses.has(businessId)) return businessId;
+  if (seenBusinesses.size >= MAX_BUSINESS_LABELS) return "other";
+  seenBusinesses.add(businessId);
+  return businessId;
+}
+
+// "/internal/businesses/biz_1/profile?x=1" -> "/internal/businesses/:businessId/profile"
+export function coreApiRoute(path) {
+  return String(path || "")
+    .split("?")[0]
+    .replace(/^\/internal\/businesses\/[^/]+/, "/internal/businesses/:businessId");
+}
+
+// "2xx" / "4xx" / "5xx" for an HTTP status, else the failure ("timeout" / "error")
+export function statusClass(status, failure = "error") {
+  return status ? `${String(status)[0]}xx` : failure;
+}
+
+// --- Latency ---
+export const resolveDuration = new client.Histogram({
+  name: `${PREFIX}resolve_business_duration_seconds`,
+  help: "resolveBusinessByTo(): Twilio number -> businessId, including cache hits",
+  labelNames: ["result"],  // cache | core_api | local_fallback | unresolved
+  buckets: [0.001, 0.005, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+});
+
+export const agentDuration = new client.Histogram({
+  name: `${PREFIX}agent_duration_seconds`,
+  help: "Agent backend reply time per turn (callAgentSafely for the http backend)",
+  labelNames: ["business", "backend", "channel", "outcome"],  // outcome: ok | error
+  buckets: [0.25, 0.5, 1, 2, 3, 5, 8, 10, 15, 20],
+  registers: [registry]
+});
+
+export const ttsFirstChunkDuration = new client.Histogram({
+  name: `${PREFIX}tts_first_chunk_seconds`,
+  help: "ElevenLabs time to first audio chunk",
+  labelNames: ["business"],
+  buckets: [0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 3, 5],
+  registers: [registry]
+});
+
+export const ttsStreamDuration = new client.Histogram({
+  name: `${PREFIX}tts_stream_duration_seconds`,
+  help: "ElevenLabs streaming to the Media Stream, request to last frame sent",
+  labelNames: ["business", "outcome"],  // outcome: completed | interrupted | failed
+  buckets: [0.25, 0.5, 1, 2, 3, 5, 8, 12, 20, 30],
+  registers: [registry]
+});
+
+export const coreApiDuration = new client.Histogram({
+  name: `${PREFIX}core_api_duration_seconds`,
+  help: "Requests to book8-core-api (routing, profiles, caller lookup, outbox deliveries)",
+  labelNames: ["method", "route", "status"],  // status: 2xx | 4xx | 5xx | timeout | error
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+// --- Counters ---
+export const callsTotal = new client.Counter({
+  name: `${PREFIX}calls_total`,
+  help: "Calls started",
+  labelNames: ["business", "direction"],  // direction: inbound | outbound-reminder
+  registers: [registry]
+});
+
+export const turnsTotal = new client.Counter({
+  name: `${PREFIX}turns_total`,
+  help: "Caller turns answered by the agent",
+  labelNames: ["business", "channel"],  // channel: voice | sms
+  registers: [registry]
+});
+
+export const agentTimeoutsTotal = new client.Counter({
+  name: `${PREFIX}agent_timeouts_total`,
+  help: "Agent turns that ran out of time",
+  labelNames: ["business", "backend"],
+  registers: [registry]
+});
+
+export const ttsFailuresTotal = new client.Counter({
+  name: `${PREFIX}tts_failures_total`,
+  help: "ElevenLabs streams that failed (after retries)",
+  labelNames: ["business"],
+  registers: [registry]
+});
+
+export const mediaStreamDisconnectsTotal = new client.Counter({
+  name: `${PREFIX}media_stream_disconnects_total`,
+  help: "Media Stream WebSockets closed",
+  labelNames: ["business", "reason"],  // reason: stopped (Twilio sent stop) | dropped
+  registers: [registry]
+});
+
+// --- Gauges ---
+// Session counts are read from the store at scrape time; see countSessionsWith()
+const sessionCounters = new Map();
+
+export const activeSessions = new client.Gauge({
+  name: `${PREFIX}active_sessions`,
+  help: "Live (unexpired) sessions in the session store",
+  labelNames: ["kind"],  // call | sms
+  registers: [registry],
+  async collect() {
+    for (const [kind, count] of sessionCounters) {
+      try {
+        this.set({ kind }, await count());
+      } catch (err) {
+        console.warn(`[METRICS] Could not count ${kind} sessions: ${err.message}`);
+      }
+    }
+  }
+});
+
+export const activeMediaStreams = new client.Gauge({
+  name: `${PREFIX}media_streams_active`,
+  help: "Open Media Stream WebSockets on this instance",
+  registers: [registry]
+});
+
+// Report `kind` sessions through count() (async, returns a number) on every scrape
+export function countSessionsWith(kind, count) {
+  sessionCounters.set(kind, count);
+}
@@ -0,0 +1,183 @@
+// outboundReminder.js
+// Reminder calls for upcoming bookings, placed on core-api's request
+// (POST /outbound/reminder). The callee hears the booking and answers by
+// keypad or speech:
+//   1 / "confirm"    -> confirmed
+//   2 / "cancel"     -> cancelled through Book8 (unless inside the cancellation window)
+//   3 / "reschedule" -> handed to the agent to pick a new time
+//
+// Request body (one reminder):
+//   { businessId, to, from, language?, booking: { bookingId, start, serviceLabel?, guestName? } }
+// `to` is the customer, `from` the business's Twilio number.
+//
+// Outcomes reported to core-api (POST /internal/reminders/outcome):
+//   confirmed | cancelled | cancel_refused | cancel_failed | reschedule_requested |
+//   voicemail | no_response | not_answered
+import { getBusinessProfile, getOwnBusinessProfile } from "./businessProfile.js";
+import { BUSINESSES_BY_PHONE } from "./businessConfig.js";
+import { getCancellationWindowHours } from "./agentConfig.js";
+import { cancelAppointment } from "./book8Client.js";
+import { formatBookingTime } from "./bookingConfirmation.js";
+import { baseLanguage } from "./callLanguage.js";
+import { placeCall } from "./twilioClient.js";
+
+export const MAX_BATCH_REMINDERS = 50;
+
+const E164_NUMBER = /^\+\d{8,15}$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+const REMINDER_SCRIPTS = {
+  en: {
+    intro: "Hi{guestName}, this is {businessName} calling to remind you about your {service} on {date} at {time}.",
+    introNoName: "Hi{guestName}, this is a reminder about your {service} on {date} at {time}.",
+    menu: "To confirm, press 1 or say confirm. To cancel, press 2 or say cancel. To reschedule, press 3 or say reschedule.",
+    machine: "Please call us back if you need to make any changes. Thank you!"
+  },
+  fr: {
+    intro: "Bonjour{guestName}, ici {businessName}. Nous vous rappelons votre {service} le {date} à {time}.",
+    introNoName: "Bonjour{guestName}, nous vous rappelons votre {service} le {date} à {time}.",
+    menu: "Pour confirmer, appuyez sur le 1 ou dites confirmer. Pour annuler, appuyez sur le 2 ou dites annuler. Pour changer l'heure, appuyez sur le 3 ou dites changer.",
+    machine: "Rappelez-nous si vous devez faire des changements. Merci!"
+  },
+  es: {
+    intro: "Hola{guestName}, le llamamos de {businessName} para recordarle su {service} el {date} a las {time}.",
+    introNoName: "Hola{guestName}, le recordamos su {service} el {date} a las {time}.",
+    menu: "Para confirmar, oprima el 1 o diga confirmar. Para cancelar, oprima el 2 o diga cancelar. Para cambiar la cita, oprima el 3 o diga cambiar.",
+    machine: "Llámenos si necesita hacer algún cambio. ¡Gracias!"
+  }
+};
+
+const DEFAULT_SERVICE = { en: "appointment", fr: "rendez-vous", es: "cita" };
+
+const ANSWERS = {
+  confirm: { digit: "1", words: /\b(confirm|confirmed|yes|yeah|confirmer|oui|confirmar|sí|si)\b/i },
+  cancel: { digit: "2", words: /\b(cancel|annuler|cancelar)\b/i },
+  reschedule: { digit: "3", words: /\b(reschedule|change|move|another time|changer|déplacer|cambiar|reprogramar)\b/i }
+};
+
+/**
+ * Check one reminder request. Returns { ok, reminder, errors } with the
+ * reminder normalized.
+ */
+export function validateReminderRequest(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== "object") {
+    return { ok: false, reminder: null, errors: ["reminder must be an object"] };
+  }
+
+  if (typeof raw.businessId !== "string" || !raw.businessId) errors.push("businessId is required");
+  if (!E164_NUMBER.test(raw.to || "")) errors.push("to must be an E.164 phone number");
+  if (!E164_NUMBER.test(raw.from || "")) errors.push("from must be the business's E.164 Twilio number");
+  if (!raw.booking || typeof raw.booking !== "object") {
+    errors.push("booking is required");
+  } else {
+    if (!raw.booking.bookingId) errors.push("booking.bookingId is required");
+    if (isNaN(Date.parse(raw.booking.start))) errors.push("booking.start must be an ISO datetime");
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, reminder: null, errors };
+  }
+
+  return {
+    ok: true,
+    reminder: {
+      businessId: raw.businessId,
+      to: raw.to,
+      from: raw.from,
+      language: typeof raw.language === "string" ? raw.language : null,
+      booking: {
+        bookingId: String(raw.booking.bookingId),
+        start: raw.booking.start,
+        serviceLabel: raw.booking.serviceLabel || null,
+        guestName: raw.booking.guestName || null
+      }
+    },
+    errors: []
+  };
+}
+
+/**
+ * Call the customer. baseUrl is the gateway's public URL (Twilio needs absolute
+ * webhook URLs). Returns { ok, callSid } or { ok: false, error }.
+ */
+export async function placeReminderCall(reminder, { baseUrl }) {
+  const query = `businessId=${encodeURIComponent(reminder.businessId)}`;
+  const result = await placeCall({
+    to: reminder.to,
+    from: reminder.from,
+    url: `${baseUrl}/twilio/reminder?${query}`,
+    statusCallback: `${baseUrl}/twilio/status-callback`,
+    // Lets /twilio/reminder leave a message on answering machines
+    machineDetection: "Enable"
+  });
+  return result.ok ? { ok: true, callSid: result.sid } : { ok: false, error: result.error };
+}
+
+/**
+ * What the callee hears: { intro, menu, machine }.
+ * profile may be null (the intro then leaves the business name out).
+ */
+export function renderReminderScript(profile, booking, language) {
+  const base = baseLanguage(language);
+  const script = REMINDER_SCRIPTS[base] || REMINDER_SCRIPTS.en;
+  const { date, time } = formatBookingTime(booking.start, profile?.timezone || "America/Toronto", language);
+  const values = {
+    guestName: booking.guestName ? ` ${booking.guestName}` : "",
+    businessName: profile?.name || "",
+    service: booking.serviceLabel || DEFAULT_SERVICE[base] || DEFAULT_SERVICE.en,
+    date,
+    time
+  };
+  const fill = (text) => text.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? "").replace(/\.\./g, ".");
+  return {
+    intro: fill(values.businessName ? script.intro : script.introNoName),
+    menu: script.menu,
+    machine: script.machine
+  };
+}
+
+/**
+ * The script for a reminder call from `businessPhone`, using the business
+ * profile (or its BUSINESSES_BY_PHONE entry) for name and timezone.
+ */
+export async function getReminderScript({ businessId, businessPhone, booking, language }) {
+  const phoneConfig = BUSINESSES_BY_PHONE[businessPhone];
+  const profile = await getOwnBusinessProfile(businessId)
+    || (phoneConfig && { name: phoneConfig.displayName, timezone: phoneConfig.timezone });
+  return renderReminderScript(profile, booking, language);
+}
+
+// "confirm" | "cancel" | "reschedule" | null, from a keypad digit or what was said
+export function parseReminderAnswer({ digits, speech }) {
+  for (const [answer, { digit, words }] of Object.entries(ANSWERS)) {
+    if (digits === digit) return answer;
+  }
+  // Check "cancel" / "reschedule" before "confirm", so "yes, cancel it" cancels
+  for (const answer of ["cancel", "reschedule", "confirm"]) {
+    if (ANSWERS[answer].words.test(speech || "")) return answer;
+  }
+  return null;
+}
+
+/**
+ * Cancel a reminded booking, honouring the business's cancellation window.
+ * Returns the outcome: "cancelled" | "cancel_refused" | "cancel_failed".
+ */
+export async function cancelRemindedBooking(businessId, booking) {
+  const profile = await getBusinessProfile(businessId);
+  const windowHours = getCancellationWindowHours(profile);
+  const hoursUntilStart = (new Date(booking.start).getTime() - Date.now()) / HOUR_MS;
+  if (windowHours != null && hoursUntilStart < windowHours) {
+    console.log(`[REMINDER] Not cancelling ${booking.bookingId}: ${hoursUntilStart.toFixed(1)} h before start, window is ${windowHours} h`);
+    return "cancel_refused";
+  }
+
+  try {
+    await cancelAppointment({ bookingId: booking.bookingId, reason: "Cancelled by customer on reminder call" });
+    return "cancelled";
+  } catch (err) {
+    console.error(`[REMINDER] Failed to cancel ${booking.bookingId}:`, err.message);
+    return "cancel_failed";
+  }
+}
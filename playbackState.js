@@ -0,0 +1,107 @@
+// playbackState.js
+// Per-call playback tracking for audio streamed over the Twilio Media Stream.
+//
+// Every streamed utterance ends with a Twilio "mark" message. Twilio echoes the
+// mark back once the caller has actually heard everything before it, so a call
+// is "speaking" while any of its marks are outstanding and "idle" after that.
+// A barge-in flips the call to "interrupted" (Twilio also echoes cleared marks,
+// which are ignored).
+//
+// Webhook handlers use getPlaybackState() / waitForPlayback() instead of
+// guessing with fixed <Pause>s.
+
+export const PLAYBACK_IDLE = "idle";
+export const PLAYBACK_SPEAKING = "speaking";
+export const PLAYBACK_INTERRUPTED = "interrupted";
+
+// CallSid -> { state, pendingMarks: Set<string>, waiters: Function[] }
+const calls = new Map();
+let markCounter = 0;
+
+function getEntry(callSid) {
+  if (!calls.has(callSid)) {
+    calls.set(callSid, { state: PLAYBACK_IDLE, pendingMarks: new Set(), waiters: [] });
+  }
+  return calls.get(callSid);
+}
+
+function setState(entry, state) {
+  entry.state = state;
+  if (state === PLAYBACK_SPEAKING) return;
+
+  // Anyone waiting for playback to finish can go now
+  const waiters = entry.waiters;
+  entry.waiters = [];
+  for (const resolve of waiters) resolve(state);
+}
+
+export function getPlaybackState(callSid) {
+  return calls.get(callSid)?.state || PLAYBACK_IDLE;
+}
+
+// Start tracking a new utterance; returns the mark name to send after its audio
+export function startUtterance(callSid) {
+  const entry = getEntry(callSid);
+  const markName = `utt-${++markCounter}`;
+  entry.pendingMarks.add(markName);
+  setState(entry, PLAYBACK_SPEAKING);
+  return markName;
+}
+
+// Forget an utterance whose mark was never sent (e.g. TTS failed before any audio)
+export function cancelUtterance(callSid, markName) {
+  const entry = calls.get(callSid);
+  if (!entry || !entry.pendingMarks.delete(markName)) return;
+  if (entry.pendingMarks.size === 0 && entry.state === PLAYBACK_SPEAKING) {
+    setState(entry, PLAYBACK_IDLE);
+  }
+}
+
+// Twilio echoed a mark: everything up to it has been played
+export function handleMark(callSid, markName) {
+  const entry = calls.get(callSid);
+  if (!entry || !entry.pendingMarks.delete(markName)) return;
+  if (entry.pendingMarks.size === 0 && entry.state === PLAYBACK_SPEAKING) {
+    setState(entry, PLAYBACK_IDLE);
+  }
+}
+
+// The caller barged in and queued audio was cleared
+export function interruptPlaybackState(callSid) {
+  const entry = getEntry(callSid);
+  entry.pendingMarks.clear();
+  setState(entry, PLAYBACK_INTERRUPTED);
+}
+
+/**
+ * Resolve once the call is no longer speaking (idle or interrupted), or with
+ * the current state after timeoutMs so a webhook never waits past Twilio's limit.
+ */
+export function waitForPlayback(callSid, { timeoutMs = 10000 } = {}) {
+  const entry = calls.get(callSid);
+  if (!entry || entry.state !== PLAYBACK_SPEAKING) {
+    return Promise.resolve(getPlaybackState(callSid));
+  }
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      entry.waiters = entry.waiters.filter(w => w !== done);
+      resolve(entry.state);
+    }, timeoutMs);
+
+    const done = (state) => {
+      clearTimeout(timer);
+      resolve(state);
+    };
+    entry.waiters.push(done);
+  });
+}
+
+// Media Stream closed - nothing more will play, release any waiters
+export function clearPlaybackState(callSid) {
+  const entry = calls.get(callSid);
+  if (!entry) return;
+  entry.pendingMarks.clear();
+  setState(entry, PLAYBACK_IDLE);
+  calls.delete(callSid);
+}
@@ -0,0 +1,432 @@
+// sessionStore.js
+// Per-call conversation state behind a small store interface, so a restart or
+// a second instance doesn't lose the conversation mid-call.
+//
+// Store interface (all methods async):
+//   get(id)                          -> session | null
+//   getOrCreate(id)                  -> session (created empty if missing)
+//   update(id, patch)                -> session (shallow-merges fields)
+//   appendMessage(id, message)       -> new message count (atomic append)
+//   updateMessage(id, index, patch)  -> shallow-merges fields into one message
+//   delete(id)
+//   count()                          -> number of live sessions (for metrics)
+//   close()
+// Every write refreshes the TTL; expired sessions read as missing.
+//
+// Session shape: { id, messages: [], businessId, createdAt, lastActive, ...fields }
+//
+// Backends (SESSION_STORE):
+//   memory (default) - process memory only
+//   file             - one JSON file per session in SESSION_STORE_DIR (survives restarts)
+//   redis            - REDIS_URL; shared by every instance
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import path from "path";
+import { createClient } from "redis";
+
+dotenv.config();
+
+const DEFAULT_TTL_MS = 20 * 60 * 1000; // 20 minutes
+const SWEEP_INTERVAL_MS = 60 * 1000;   // Run cleanup every minute
+const UPDATE_MESSAGE_MAX_TRIES = 5;    // Redis updateMessage retries when another write got in first
+
+function newSession(id) {
+  const now = Date.now();
+  return { id, messages: [], businessId: null, createdAt: now, lastActive: now };
+}
+
+// Serialize async work per key, so read-modify-write updates don't interleave
+function createKeyedLock() {
+  const tails = new Map();
+  return function withLock(key, fn) {
+    const prev = tails.get(key) || Promise.resolve();
+    const run = prev.then(fn, fn);
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return run;
+  };
+}
+
+// ---------------------------------------------------------------------
+//  Memory store
+// ---------------------------------------------------------------------
+export function createMemorySessionStore({ ttlMs = DEFAULT_TTL_MS, namespace = "session" } = {}) {
+  const sessions = new Map();
+
+  const live = (id) => {
+    const s = sessions.get(id);
+    if (!s) return null;
+    if (Date.now() - s.lastActive > ttlMs) {
+      sessions.delete(id);
+      return null;
+    }
+    return s;
+  };
+
+  // Cleanup old sessions to prevent memory leaks
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [id, s] of sessions.entries()) {
+      if (now - s.lastActive > ttlMs) {
+        sessions.delete(id);
+        console.log(`[SESSION] Cleaned up expired ${namespace}: ${id}`);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  const getOrCreate = (id) => {
+    let s = live(id);
+    if (!s) {
+      s = newSession(id);
+      sessions.set(id, s);
+    }
+    s.lastActive = Date.now();
+    return s;
+  };
+
+  // Hand out copies so callers can't mutate stored state without a write
+  const copy = (s) => s && { ...s, messages: s.messages.map(m => ({ ...m })) };
+
+  return {
+    name: "memory",
+
+    async get(id) {
+      return copy(live(id));
+    },
+
+    async getOrCreate(id) {
+      return copy(getOrCreate(id));
+    },
+
+    async update(id, patch) {
+      const s = getOrCreate(id);
+      Object.assign(s, patch, { id, messages: s.messages, lastActive: Date.now() });
+      return copy(s);
+    },
+
+    async appendMessage(id, message) {
+      const s = getOrCreate(id);
+      s.messages.push({ ...message });
+      return s.messages.length;
+    },
+
+    async updateMessage(id, index, patch) {
+      const s = live(id);
+      if (!s || !s.messages[index]) return;
+      Object.assign(s.messages[index], patch);
+      s.lastActive = Date.now();
+    },
+
+    async delete(id) {
+      sessions.delete(id);
+    },
+
+    async count() {
+      const now = Date.now();
+      let n = 0;
+      for (const s of sessions.values()) {
+        if (now - s.lastActive <= ttlMs) n++;
+      }
+      return n;
+    },
+
+    async close() {
+      clearInterval(sweeper);
+    }
+  };
+}
+
+// ---------------------------------------------------------------------
+//  File store
+//  Writes go to a temp file and are renamed into place, so a crash never
+//  leaves a half-written session. Updates are serialized per session.
+// ---------------------------------------------------------------------
+export function createFileSessionStore({
+  dir = process.env.SESSION_STORE_DIR || "./data/sessions",
+  ttlMs = DEFAULT_TTL_MS,
+  namespace = "session"
+} = {}) {
+  const baseDir = path.join(dir, namespace);
+  const withLock = createKeyedLock();
+  const ready = fs.mkdir(baseDir, { recursive: true });
+
+  const fileFor = (id) => path.join(baseDir, `${encodeURIComponent(id)}.json`);
+
+  const read = async (id) => {
+    await ready;
+    try {
+      const s = JSON.parse(await fs.readFile(fileFor(id), "utf8"));
+      if (Date.now() - s.lastActive > ttlMs) {
+        await fs.rm(fileFor(id), { force: true });
+        return null;
+      }
+      return s;
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  const write = async (s) => {
+    s.lastActive = Date.now();
+    const file = fileFor(s.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(s));
+    await fs.rename(tmp, file);
+    return s;
+  };
+
+  const sweeper = setInterval(async () => {
+    try {
+      await ready;
+      for (const name of await fs.readdir(baseDir)) {
+        if (!name.endsWith(".json")) continue;
+        const id = decodeURIComponent(name.slice(0, -".json".length));
+        await withLock(id, async () => {
+          if (!(await read(id))) {
+            console.log(`[SESSION] Cleaned up expired ${namespace}: ${id}`);
+          }
+        });
+      }
+    } catch (err) {
+      console.error("[SESSION] File store sweep failed:", err.message);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    name: "file",
+
+    async get(id) {
+      return read(id);
+    },
+
+    async getOrCreate(id) {
+      return withLock(id, async () => write((await read(id)) || newSession(id)));
+    },
+
+    async update(id, patch) {
+      return withLock(id, async () => {
+        const s = (await read(id)) || newSession(id);
+        return write({ ...s, ...patch, id, messages: s.messages });
+      });
+    },
+
+    async appendMessage(id, message) {
+      return withLock(id, async () => {
+        const s = (await read(id)) || newSession(id);
+        s.messages.push(message);
+        await write(s);
+        return s.messages.length;
+      });
+    },
+
+    async updateMessage(id, index, patch) {
+      return withLock(id, async () => {
+        const s = await read(id);
+        if (!s || !s.messages[index]) return;
+        Object.assign(s.messages[index], patch);
+        await write(s);
+      });
+    },
+
+    async delete(id) {
+      return withLock(id, async () => {
+        await ready;
+        await fs.rm(fileFor(id), { force: true });
+      });
+    },
+
+    // Every write rewrites the file, so its mtime is the session's lastActive
+    async count() {
+      await ready;
+      const now = Date.now();
+      let n = 0;
+      for (const name of await fs.readdir(baseDir)) {
+        if (!name.endsWith(".json")) continue;
+        try {
+          const { mtimeMs } = await fs.stat(path.join(baseDir, name));
+          if (now - mtimeMs <= ttlMs) n++;
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;  // Deleted meanwhile
+        }
+      }
+      return n;
+    },
+
+    async close() {
+      clearInterval(sweeper);
+    }
+  };
+}
+
+// ---------------------------------------------------------------------
+//  Redis store
+//  Session fields live in a hash (values JSON-encoded) and messages in a
+//  list, so appends are a single atomic RPUSH from any instance.
+//  Keys: {prefix}:{namespace}:{id} and {prefix}:{namespace}:{id}:messages,
+//  plus {prefix}:live:{namespace}, a sorted set of ids by lastActive that
+//  count() reads instead of scanning the keyspace
+// ---------------------------------------------------------------------
+export function createRedisSessionStore({
+  url = process.env.REDIS_URL,
+  ttlMs = DEFAULT_TTL_MS,
+  namespace = "session",
+  prefix = process.env.REDIS_KEY_PREFIX || "book8"
+} = {}) {
+  if (!url) {
+    throw new Error("REDIS_URL not configured");
+  }
+
+  const client = createClient({ url });
+  client.on("error", (err) => console.error("[SESSION] Redis error:", err.message));
+  const ready = client.connect();
+
+  const fieldsKey = (id) => `${prefix}:${namespace}:${id}`;
+  const messagesKey = (id) => `${prefix}:${namespace}:${id}:messages`;
+  const liveKey = `${prefix}:live:${namespace}`;
+
+  // Compare-and-set for one message: only replaces it if it still reads as
+  // what the patch was merged into, and refreshes the TTLs like any write.
+  // KEYS: messages, fields, live set. ARGV: index, expected, replacement, now, ttlMs, id
+  const SET_MESSAGE_IF_UNCHANGED = `
+    if redis.call("LINDEX", KEYS[1], ARGV[1]) ~= ARGV[2] then return 0 end
+    redis.call("LSET", KEYS[1], ARGV[1], ARGV[3])
+    redis.call("HSET", KEYS[2], "lastActive", ARGV[4])
+    redis.call("PEXPIRE", KEYS[1], ARGV[5])
+    redis.call("PEXPIRE", KEYS[2], ARGV[5])
+    redis.call("ZADD", KEYS[3], ARGV[4], ARGV[6])
+    redis.call("PEXPIRE", KEYS[3], ARGV[5])
+    return 1`;
+
+  const encode = (fields) => Object.fromEntries(
+    Object.entries(fields).map(([k, v]) => [k, JSON.stringify(v ?? null)])
+  );
+  const decode = (hash) => Object.fromEntries(
+    Object.entries(hash).map(([k, v]) => [k, JSON.parse(v)])
+  );
+
+  // Write fields and refresh the TTL on both keys in one transaction
+  const writeFields = async (id, fields) => {
+    await ready;
+    const now = Date.now();
+    await client.multi()
+      .hSet(fieldsKey(id), encode({ ...fields, lastActive: now }))
+      .pExpire(fieldsKey(id), ttlMs)
+      .pExpire(messagesKey(id), ttlMs)
+      .zAdd(liveKey, { score: now, value: id })
+      .pExpire(liveKey, ttlMs)
+      .exec();
+  };
+
+  const read = async (id) => {
+    await ready;
+    const [hash, rawMessages] = await Promise.all([
+      client.hGetAll(fieldsKey(id)),
+      client.lRange(messagesKey(id), 0, -1)
+    ]);
+    if (!hash || Object.keys(hash).length === 0) return null;
+    return { ...decode(hash), id, messages: rawMessages.map(m => JSON.parse(m)) };
+  };
+
+  return {
+    name: "redis",
+
+    async get(id) {
+      return read(id);
+    },
+
+    async getOrCreate(id) {
+      await ready;
+      // HSETNX makes creation safe when two instances race on the first webhook
+      const { messages, ...fields } = newSession(id);
+      const created = await client.hSetNX(fieldsKey(id), "createdAt", JSON.stringify(fields.createdAt));
+      if (created) {
+        await writeFields(id, fields);
+      } else {
+        await writeFields(id, {});
+      }
+      return read(id);
+    },
+
+    async update(id, patch) {
+      const { id: _id, messages, ...fields } = patch;
+      await writeFields(id, fields);
+      return read(id);
+    },
+
+    async appendMessage(id, message) {
+      await ready;
+      const now = Date.now();
+      const results = await client.multi()
+        .rPush(messagesKey(id), JSON.stringify(message))
+        .hSet(fieldsKey(id), "lastActive", JSON.stringify(now))
+        .pExpire(fieldsKey(id), ttlMs)
+        .pExpire(messagesKey(id), ttlMs)
+        .zAdd(liveKey, { score: now, value: id })
+        .pExpire(liveKey, ttlMs)
+        .exec();
+      return Number(results[0]);
+    },
+
+    // Read-merge-write, retried if another instance changed the message in between
+    async updateMessage(id, index, patch) {
+      await ready;
+      for (let tries = 1; tries <= UPDATE_MESSAGE_MAX_TRIES; tries++) {
+        const raw = await client.lIndex(messagesKey(id), index);
+        if (!raw) return;
+        const now = String(Date.now());
+        const replaced = await client.eval(SET_MESSAGE_IF_UNCHANGED, {
+          keys: [messagesKey(id), fieldsKey(id), liveKey],
+          arguments: [String(index), raw, JSON.stringify({ ...JSON.parse(raw), ...patch }), now, String(ttlMs), id]
+        });
+        if (Number(replaced) === 1) return;
+      }
+      throw new Error(`updateMessage ${id}[${index}]: message kept changing, gave up after ${UPDATE_MESSAGE_MAX_TRIES} tries`);
+    },
+
+    async delete(id) {
+      await ready;
+      await client.multi()
+        .del([fieldsKey(id), messagesKey(id)])
+        .zRem(liveKey, id)
+        .exec();
+    },
+
+    // Ids idle past the TTL (their keys have expired) are pruned first
+    async count() {
+      await ready;
+      const results = await client.multi()
+        .zRemRangeByScore(liveKey, "-inf", Date.now() - ttlMs)
+        .zCard(liveKey)
+        .exec();
+      return Number(results[1]);
+    },
+
+    async close() {
+      await ready;
+      await client.close();
+    }
+  };
+}
+
+// ---------------------------------------------------------------------
+//  Factory
+// ---------------------------------------------------------------------
+const STORE_FACTORIES = {
+  memory: createMemorySessionStore,
+  file: createFileSessionStore,
+  redis: createRedisSessionStore
+};
+
+export function createSessionStore(kind = process.env.SESSION_STORE || "memory", options = {}) {
+  const factory = STORE_FACTORIES[kind];
+  if (!factory) {
+    throw new Error(`Unknown session store: ${kind}`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,229 @@
+// sttProvider.js
+// Pluggable streaming speech-to-text for inbound Twilio Media Stream audio.
+//
+// A provider is: { name, createSession({ callSid, sampleRate, onTranscript, onError, language }) }
+// and a session is: { write(samples: Int16Array), close() }
+// onTranscript is called with { text, isFinal, confidence } for partial and final results;
+// finals may also carry the detected language when the provider reports one.
+//
+// Select with STT_PROVIDER:
+//   none     - (default) streaming STT disabled, calls use <Gather> speech recognition
+//   stub     - deterministic offline provider (energy endpointing + scripted text)
+//   deepgram - Deepgram live transcription (requires DEEPGRAM_API_KEY)
+import dotenv from "dotenv";
+import WebSocket from "ws";
+import { MULAW_SAMPLE_RATE, pcmRms } from "./audioCodec.js";
+
+dotenv.config();
+
+// ---------------------------------------------------------------------
+//  Stub provider
+//  Treats any block above STUB_SPEECH_RMS as speech and ends an utterance
+//  after STUB_END_SILENCE_MS of quiet. Transcript text comes from
+//  STT_STUB_SCRIPT ("first utterance|second utterance|..."), so the same
+//  audio always produces the same transcripts.
+// ---------------------------------------------------------------------
+const STUB_SPEECH_RMS = 500;
+const STUB_MIN_SPEECH_MS = 200;
+const STUB_END_SILENCE_MS = 600;
+const STUB_PARTIAL_INTERVAL_MS = 300;
+
+function parseStubScript(script) {
+  if (Array.isArray(script)) return script;
+  return (script || "")
+    .split("|")
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+export function createStubSttProvider({ script = process.env.STT_STUB_SCRIPT } = {}) {
+  const utterances = parseStubScript(script);
+
+  return {
+    name: "stub",
+
+    createSession({ callSid, sampleRate = MULAW_SAMPLE_RATE, onTranscript }) {
+      let utteranceIndex = 0;
+      let speechMs = 0;
+      let silenceMs = 0;
+      let lastPartialAtMs = 0;
+      let closed = false;
+
+      const currentText = () => {
+        if (utterances.length === 0) return `utterance ${utteranceIndex + 1}`;
+        return utterances[utteranceIndex % utterances.length];
+      };
+
+      // Partial text grows with speech duration (roughly 3 words per second)
+      const partialText = () => {
+        const words = currentText().split(/\s+/);
+        const count = Math.max(1, Math.min(words.length, Math.floor(speechMs / 333)));
+        return words.slice(0, count).join(" ");
+      };
+
+      const finishUtterance = () => {
+        if (speechMs >= STUB_MIN_SPEECH_MS) {
+          onTranscript({ text: currentText(), isFinal: true, confidence: 1 });
+          utteranceIndex++;
+        }
+        speechMs = 0;
+        silenceMs = 0;
+        lastPartialAtMs = 0;
+      };
+
+      return {
+        write(samples) {
+          if (closed || samples.length === 0) return;
+          const blockMs = (samples.length / sampleRate) * 1000;
+
+          if (pcmRms(samples) >= STUB_SPEECH_RMS) {
+            speechMs += blockMs;
+            silenceMs = 0;
+            if (speechMs >= STUB_MIN_SPEECH_MS && speechMs - lastPartialAtMs >= STUB_PARTIAL_INTERVAL_MS) {
+              lastPartialAtMs = speechMs;
+              onTranscript({ text: partialText(), isFinal: false, confidence: 1 });
+            }
+          } else if (speechMs > 0) {
+            silenceMs += blockMs;
+            if (silenceMs >= STUB_END_SILENCE_MS) {
+              finishUtterance();
+            }
+          }
+        },
+
+        close() {
+          if (closed) return;
+          closed = true;
+          console.log(`[STT] Stub session closed for CallSid: ${callSid}`);
+        }
+      };
+    }
+  };
+}
+
+// ---------------------------------------------------------------------
+//  Deepgram provider (live transcription over WebSocket)
+//  Deepgram finalizes a transcript in segments (is_final); we join the
+//  segments and emit one final transcript when it reports speech_final.
+// ---------------------------------------------------------------------
+const DEEPGRAM_LISTEN_URL = "wss://api.deepgram.com/v1/listen";
+
+export function createDeepgramSttProvider({
+  apiKey = process.env.DEEPGRAM_API_KEY,
+  model = process.env.DEEPGRAM_MODEL || "nova-2-phonecall",
+  language = "en-US"
+} = {}) {
+  if (!apiKey) {
+    throw new Error("DEEPGRAM_API_KEY not configured");
+  }
+
+  return {
+    name: "deepgram",
+
+    // language: per-call override, e.g. "multi" to let Deepgram detect it
+    createSession({ callSid, sampleRate = MULAW_SAMPLE_RATE, onTranscript, onError, language: sessionLanguage = language }) {
+      const params = new URLSearchParams({
+        model,
+        language: sessionLanguage,
+        encoding: "linear16",
+        sample_rate: String(sampleRate),
+        channels: "1",
+        interim_results: "true",
+        punctuate: "true",
+        endpointing: "300"
+      });
+
+      const socket = new WebSocket(`${DEEPGRAM_LISTEN_URL}?${params.toString()}`, {
+        headers: { Authorization: `Token ${apiKey}` }
+      });
+
+      // Audio written before the socket opens is buffered here
+      let backlog = [];
+      let finalSegments = [];
+      let closed = false;
+
+      socket.on("open", () => {
+        for (const chunk of backlog) socket.send(chunk);
+        backlog = [];
+      });
+
+      socket.on("message", (data) => {
+        try {
+          const msg = JSON.parse(data.toString());
+          if (msg.type !== "Results") return;
+
+          const alt = msg.channel?.alternatives?.[0];
+          const text = alt?.transcript || "";
+
+          if (msg.is_final && text) {
+            finalSegments.push(text);
+          }
+
+          if (msg.speech_final && finalSegments.length > 0) {
+            onTranscript({
+              text: finalSegments.join(" "),
+              isFinal: true,
+              confidence: alt?.confidence ?? null,
+              // Only reported in multi-language mode (e.g. ["fr"])
+              language: alt?.languages?.[0] || null
+            });
+            finalSegments = [];
+          } else if (text) {
+            onTranscript({ text: [...finalSegments, msg.is_final ? "" : text].join(" ").trim(), isFinal: false, confidence: alt?.confidence ?? null });
+          }
+        } catch (err) {
+          console.error(`[STT] Error parsing Deepgram message for CallSid ${callSid}:`, err);
+        }
+      });
+
+      socket.on("error", (err) => {
+        console.error(`[STT] Deepgram socket error for CallSid ${callSid}:`, err.message);
+        onError?.(err);
+      });
+
+      socket.on("close", () => {
+        console.log(`[STT] Deepgram socket closed for CallSid: ${callSid}`);
+      });
+
+      return {
+        write(samples) {
+          if (closed) return;
+          const chunk = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+          if (socket.readyState === WebSocket.OPEN) {
+            socket.send(chunk);
+          } else if (socket.readyState === WebSocket.CONNECTING) {
+            backlog.push(Buffer.from(chunk));
+          }
+        },
+
+        close() {
+          if (closed) return;
+          closed = true;
+          if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: "CloseStream" }));
+          }
+          socket.close();
+        }
+      };
+    }
+  };
+}
+
+// ---------------------------------------------------------------------
+//  Provider registry
+// ---------------------------------------------------------------------
+const PROVIDER_FACTORIES = {
+  stub: createStubSttProvider,
+  deepgram: createDeepgramSttProvider
+};
+
+// Returns the configured provider, or null when streaming STT is disabled
+export function createSttProvider(name = process.env.STT_PROVIDER || "none", options = {}) {
+  if (!name || name === "none") return null;
+
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown STT provider: ${name}`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,47 @@
+// test/agentConfig.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getCancellationWindowHours, checkCancellationWindow } from "../agentConfig.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const inHours = (hours) => new Date(Date.now() + hours * HOUR_MS).toISOString();
+
+test("an explicit cancellationWindowHours wins over the policy text", () => {
+  const profile = { policies: { cancellationWindowHours: 12, cancellation: "Cancel 24 hours ahead." } };
+  assert.equal(getCancellationWindowHours(profile), 12);
+  assert.equal(getCancellationWindowHours({ policies: { cancellationWindowHours: 0 } }), 0);
+});
+
+test("the window is read from the cancellation text", () => {
+  assert.equal(getCancellationWindowHours({ policies: { cancellation: "Please give 24 hours notice." } }), 24);
+  assert.equal(getCancellationWindowHours({ policies: { cancellation: "At least 2.5 hrs before" } }), 2.5);
+  assert.equal(getCancellationWindowHours({ policies: { cancellation: "48h notice" } }), 48);
+});
+
+test("no policy means no window", () => {
+  assert.equal(getCancellationWindowHours({ policies: { cancellation: "Free cancellation." } }), null);
+  assert.equal(getCancellationWindowHours({}), null);
+  assert.equal(getCancellationWindowHours(null), null);
+});
+
+test("checkCancellationWindow allows changes outside the window", () => {
+  const profile = { policies: { cancellationWindowHours: 24 } };
+  assert.equal(checkCancellationWindow(profile, { start: inHours(48) }), null);
+  assert.equal(checkCancellationWindow({ policies: {} }, { start: inHours(1) }), null);
+});
+
+test("checkCancellationWindow refuses changes inside the window", () => {
+  const profile = { policies: { cancellation: "Cancel at least 24 hours before." } };
+  const result = checkCancellationWindow(profile, { start: inHours(3) });
+  assert.equal(result.ok, false);
+  assert.equal(result.error, "outside_cancellation_policy");
+  assert.equal(result.windowHours, 24);
+  assert.equal(result.hoursUntilStart, 3);
+  assert.equal(result.policy, "Cancel at least 24 hours before.");
+});
+
+test("checkCancellationWindow clamps past bookings to 0 hours and rejects bad times", () => {
+  const profile = { policies: { cancellationWindowHours: 24 } };
+  assert.equal(checkCancellationWindow(profile, { start: inHours(-2) }).hoursUntilStart, 0);
+  assert.equal(checkCancellationWindow(profile, { start: "not a date" }).error, "unknown_booking_time");
+});
@@ -0,0 +1,135 @@
+// test/coreApiOutbox.test.js
+// Outbox retry and dead-letter behaviour against a stubbed fetch.
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.CORE_API_BASE_URL = "http://core-api.test";
+process.env.OUTBOX_MAX_ATTEMPTS = "2";
+const { createCoreApiOutbox } = await import("../coreApiOutbox.js");
+
+const realFetch = globalThis.fetch;
+let responses;
+let calls;
+
+// Each fetch takes the next queued status (the last one repeats)
+function respondWith(...statuses) {
+  responses = statuses;
+}
+
+beforeEach(() => {
+  calls = [];
+  responses = [200];
+  globalThis.fetch = async (url, options) => {
+    calls.push({ url, options });
+    const status = responses.length > 1 ? responses.shift() : responses[0];
+    return new Response(status === 200 ? "{}" : "nope", { status });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail("condition not met in time");
+}
+
+const event = (key = "CA1:call.end") => ({
+  type: "call.end",
+  path: "/internal/calls/end",
+  body: { callSid: "CA1" },
+  idempotencyKey: key
+});
+
+test("a delivered event is sent with its idempotency key and removed", async () => {
+  const outbox = createCoreApiOutbox({ store: "memory" });
+  await outbox.enqueue(event());
+  await waitFor(async () => (await outbox.list()).length === 0);
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, "http://core-api.test/internal/calls/end");
+  assert.equal(calls[0].options.headers["Idempotency-Key"], "CA1:call.end");
+  assert.deepEqual(JSON.parse(calls[0].options.body), { callSid: "CA1", idempotencyKey: "CA1:call.end" });
+  await outbox.stop();
+});
+
+test("enqueueing the same key again doesn't send it twice", async () => {
+  const outbox = createCoreApiOutbox({ store: "memory" });
+  await outbox.enqueue(event());
+  await waitFor(async () => (await outbox.list()).length === 0);
+
+  assert.equal(await outbox.enqueue(event()), null);
+  assert.equal(calls.length, 1);
+  await outbox.stop();
+});
+
+test("a 5xx keeps the event pending with a backoff", async () => {
+  respondWith(503);
+  const outbox = createCoreApiOutbox({ store: "memory" });
+  await outbox.enqueue(event());
+  await waitFor(async () => (await outbox.list())[0]?.attempts === 1);
+
+  const [record] = await outbox.list();
+  assert.equal(record.status, "pending");
+  assert.equal(record.lastStatus, 503);
+  assert.ok(record.nextAttemptAt > Date.now());
+  await outbox.stop();
+});
+
+test("a permanent 4xx is dead-lettered after one attempt", async () => {
+  respondWith(400);
+  const outbox = createCoreApiOutbox({ store: "memory" });
+  await outbox.enqueue(event());
+  await waitFor(async () => (await outbox.list({ status: "dead" })).length === 1);
+
+  const [record] = await outbox.list({ status: "dead" });
+  assert.equal(record.attempts, 1);
+  assert.equal(record.lastStatus, 400);
+  assert.equal(calls.length, 1);
+  await outbox.stop();
+});
+
+test("429 is retried rather than dead-lettered", async () => {
+  respondWith(429);
+  const outbox = createCoreApiOutbox({ store: "memory" });
+  await outbox.enqueue(event());
+  await waitFor(async () => (await outbox.list())[0]?.attempts === 1);
+
+  assert.equal((await outbox.list())[0].status, "pending");
+  await outbox.stop();
+});
+
+test("the worker retries until OUTBOX_MAX_ATTEMPTS, then dead-letters", async () => {
+  respondWith(500);
+  const outbox = createCoreApiOutbox({ store: "memory" });
+  await outbox.enqueue(event());
+  outbox.start();
+  await waitFor(async () => (await outbox.list({ status: "dead" })).length === 1);
+
+  const [record] = await outbox.list({ status: "dead" });
+  assert.equal(record.attempts, 2);
+  assert.equal(calls.length, 2);
+  await outbox.stop();
+});
+
+test("replay moves a dead event back to pending and delivers it", async () => {
+  respondWith(400, 200);
+  const outbox = createCoreApiOutbox({ store: "memory" });
+  await outbox.enqueue(event());
+  await waitFor(async () => (await outbox.list({ status: "dead" })).length === 1);
+
+  assert.equal(await outbox.replayDead(), 1);
+  await waitFor(async () => (await outbox.list()).length === 0);
+  assert.equal(calls.length, 2);
+  assert.equal(await outbox.replay("unknown"), false);
+  await outbox.stop();
+});
+
+test("unknown stores are rejected", () => {
+  assert.throws(() => createCoreApiOutbox({ store: "postgres" }), /Unknown outbox store: postgres/);
+});
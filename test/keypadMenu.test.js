@@ -0,0 +1,58 @@
+// test/keypadMenu.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_KEYPAD_MENU,
+  validateKeypadMenu,
+  keypadMenuPrompt,
+  describeKeypadPress,
+  describeKeypadEntry,
+  digitCollectionFor
+} from "../keypadMenu.js";
+
+test("validateKeypadMenu accepts no menu, false and valid menus", () => {
+  assert.deepEqual(validateKeypadMenu({}), []);
+  assert.deepEqual(validateKeypadMenu({ keypadMenu: false }), []);
+  assert.deepEqual(validateKeypadMenu({ keypadMenu: { "1": "book", "9": "hours" } }), []);
+});
+
+test("validateKeypadMenu reports bad digits and actions", () => {
+  assert.deepEqual(validateKeypadMenu({ keypadMenu: ["book"] }), [
+    "keypadMenu must be an object of digit -> action, or false"
+  ]);
+  assert.deepEqual(validateKeypadMenu({ keypadMenu: { "#": "book", "3": "dance" } }), [
+    "keypadMenu.3 must be one of book, change, cancel, hours, staff",
+    'keypadMenu key "#" must be a single digit 0-9'
+  ]);
+});
+
+test("keypadMenuPrompt reads digits in order with 0 last, in the call language", () => {
+  assert.equal(
+    keypadMenuPrompt(DEFAULT_KEYPAD_MENU, "en-US"),
+    "To book an appointment, press 1. To change a booking, press 2. To talk to someone, press 0."
+  );
+  assert.equal(
+    keypadMenuPrompt({ "0": "staff", "3": "hours" }, "fr-CA"),
+    "Pour nos heures d'ouverture, appuyez sur le 3. Pour parler à quelqu'un, appuyez sur le 0."
+  );
+});
+
+test("keypadMenuPrompt leaves out skipped digits and falls back to English", () => {
+  assert.equal(keypadMenuPrompt(DEFAULT_KEYPAD_MENU, "de-DE", ["1", "2"]), "To talk to someone, press 0.");
+});
+
+test("keypad presses and entries are described for the agent", () => {
+  assert.equal(describeKeypadPress("1", "book"), "(Caller pressed 1 on the keypad: wants to book an appointment)");
+  assert.equal(describeKeypadPress("7", undefined), "(Caller pressed 7 on the keypad, which is not a menu option)");
+  assert.equal(describeKeypadEntry("phone", "5145550100"), "(Caller typed their phone number on the keypad: 5145550100)");
+  assert.equal(describeKeypadEntry("other", "42"), "(Caller typed their number on the keypad: 42)");
+});
+
+test("digitCollectionFor spots requests for a phone number or confirmation code", () => {
+  assert.equal(digitCollectionFor("What's the best phone number to reach you?"), "phone");
+  assert.equal(digitCollectionFor("Quel est votre numéro de téléphone ?"), "phone");
+  assert.equal(digitCollectionFor("Can you read me your confirmation code?"), "code");
+  assert.equal(digitCollectionFor("¿Cuál es su código de confirmación?"), "code");
+  assert.equal(digitCollectionFor("What time works for you?"), null);
+  assert.equal(digitCollectionFor(null), null);
+});
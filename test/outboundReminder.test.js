@@ -0,0 +1,62 @@
+// test/outboundReminder.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseReminderAnswer, validateReminderRequest, renderReminderScript } from "../outboundReminder.js";
+
+test("keypad digits map to confirm / cancel / reschedule", () => {
+  assert.equal(parseReminderAnswer({ digits: "1" }), "confirm");
+  assert.equal(parseReminderAnswer({ digits: "2" }), "cancel");
+  assert.equal(parseReminderAnswer({ digits: "3" }), "reschedule");
+  assert.equal(parseReminderAnswer({ digits: "9" }), null);
+});
+
+test("spoken answers are understood in English, French and Spanish", () => {
+  assert.equal(parseReminderAnswer({ speech: "Yes, that works" }), "confirm");
+  assert.equal(parseReminderAnswer({ speech: "Oui" }), "confirm");
+  assert.equal(parseReminderAnswer({ speech: "Quiero cancelar" }), "cancel");
+  assert.equal(parseReminderAnswer({ speech: "Je voudrais changer l'heure" }), "reschedule");
+  assert.equal(parseReminderAnswer({ speech: "Can we move it to another time?" }), "reschedule");
+});
+
+test("cancel and reschedule win over a leading yes", () => {
+  assert.equal(parseReminderAnswer({ speech: "Yes, cancel it please" }), "cancel");
+  assert.equal(parseReminderAnswer({ speech: "Yeah I need to reschedule" }), "reschedule");
+});
+
+test("the digit wins over speech, and nothing recognizable is null", () => {
+  assert.equal(parseReminderAnswer({ digits: "2", speech: "yes" }), "cancel");
+  assert.equal(parseReminderAnswer({ speech: "who is this?" }), null);
+  assert.equal(parseReminderAnswer({}), null);
+});
+
+test("validateReminderRequest lists every problem", () => {
+  const { ok, errors } = validateReminderRequest({ to: "5145550100", booking: { start: "soon" } });
+  assert.equal(ok, false);
+  assert.deepEqual(errors, [
+    "businessId is required",
+    "to must be an E.164 phone number",
+    "from must be the business's E.164 Twilio number",
+    "booking.bookingId is required",
+    "booking.start must be an ISO datetime"
+  ]);
+});
+
+test("validateReminderRequest accepts a complete reminder", () => {
+  const { ok, reminder } = validateReminderRequest({
+    businessId: "biz_1",
+    to: "+15145550100",
+    from: "+15145550199",
+    booking: { bookingId: "bk_1", start: "2030-01-15T15:00:00Z" }
+  });
+  assert.equal(ok, true);
+  assert.equal(reminder.booking.bookingId, "bk_1");
+});
+
+test("renderReminderScript leaves the business name out when there is no profile", () => {
+  const booking = { bookingId: "bk_1", start: "2030-01-15T15:00:00Z", guestName: "Sam" };
+  const withName = renderReminderScript({ name: "Salon Luxe", timezone: "America/Toronto" }, booking, "en-US");
+  const withoutName = renderReminderScript(null, booking, "en-US");
+  assert.match(withName.intro, /Salon Luxe/);
+  assert.match(withName.intro, /Sam/);
+  assert.doesNotMatch(withoutName.intro, /\{|undefined/);
+});
@@ -0,0 +1,140 @@
+// test/sessionStore.test.js
+// The same behaviour checks against the memory and file stores.
+import { test, describe, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createMemorySessionStore, createFileSessionStore, createSessionStore } from "../sessionStore.js";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function tempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "voice-gateway-sessions-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+const BACKENDS = {
+  memory: async (options = {}) => createMemorySessionStore(options),
+  file: async (options = {}) => createFileSessionStore({ dir: await tempDir(), ...options })
+};
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+  describe(`${name} session store`, () => {
+    test("getOrCreate starts an empty session and returns the same one after", async () => {
+      const store = await create();
+      const created = await store.getOrCreate("CA1");
+      assert.equal(created.id, "CA1");
+      assert.deepEqual(created.messages, []);
+      assert.equal(created.businessId, null);
+
+      await store.update("CA1", { businessId: "biz_1" });
+      const again = await store.getOrCreate("CA1");
+      assert.equal(again.businessId, "biz_1");
+      assert.equal(again.createdAt, created.createdAt);
+      await store.close();
+    });
+
+    test("get returns null for unknown sessions", async () => {
+      const store = await create();
+      assert.equal(await store.get("nope"), null);
+      await store.close();
+    });
+
+    test("update shallow-merges fields and leaves messages alone", async () => {
+      const store = await create();
+      await store.getOrCreate("CA1");
+      await store.appendMessage("CA1", { role: "user", content: "hi" });
+      await store.update("CA1", { language: "fr-CA", afterHours: { reason: "closed" } });
+      await store.update("CA1", { language: "en-US", messages: [] });
+
+      const s = await store.get("CA1");
+      assert.equal(s.language, "en-US");
+      assert.deepEqual(s.afterHours, { reason: "closed" });
+      assert.equal(s.messages.length, 1);
+      await store.close();
+    });
+
+    test("appendMessage returns the new count and updateMessage patches one message", async () => {
+      const store = await create();
+      await store.getOrCreate("CA1");
+      assert.equal(await store.appendMessage("CA1", { role: "user", content: "book a haircut" }), 1);
+      assert.equal(await store.appendMessage("CA1", { role: "assistant", content: "What day?" }), 2);
+
+      await store.updateMessage("CA1", 1, { interrupted: true, heard: "What" });
+      await store.updateMessage("CA1", 5, { interrupted: true });  // Out of range: ignored
+
+      const { messages } = await store.get("CA1");
+      assert.deepEqual(messages, [
+        { role: "user", content: "book a haircut" },
+        { role: "assistant", content: "What day?", interrupted: true, heard: "What" }
+      ]);
+      await store.close();
+    });
+
+    test("returned sessions are copies", async () => {
+      const store = await create();
+      const s = await store.getOrCreate("CA1");
+      s.businessId = "changed";
+      s.messages.push({ role: "user", content: "not stored" });
+
+      const fresh = await store.get("CA1");
+      assert.equal(fresh.businessId, null);
+      assert.equal(fresh.messages.length, 0);
+      await store.close();
+    });
+
+    test("delete removes the session and count() only sees live ones", async () => {
+      const store = await create();
+      await store.getOrCreate("CA1");
+      await store.getOrCreate("CA2");
+      assert.equal(await store.count(), 2);
+
+      await store.delete("CA1");
+      assert.equal(await store.get("CA1"), null);
+      assert.equal(await store.count(), 1);
+      await store.close();
+    });
+
+    test("sessions expire after the TTL without activity", async () => {
+      const store = await create({ ttlMs: 50 });
+      await store.getOrCreate("CA1");
+      await sleep(80);
+      assert.equal(await store.get("CA1"), null);
+      assert.equal(await store.count(), 0);
+      await store.close();
+    });
+  });
+}
+
+test("file store keeps sessions across instances on the same directory", async () => {
+  const dir = await tempDir();
+  const first = createFileSessionStore({ dir });
+  await first.getOrCreate("CA1");
+  await first.appendMessage("CA1", { role: "user", content: "still here?" });
+  await first.close();
+
+  const second = createFileSessionStore({ dir });
+  const s = await second.get("CA1");
+  assert.equal(s.messages[0].content, "still here?");
+  await second.close();
+});
+
+test("file store serializes concurrent appends to one session", async () => {
+  const store = await BACKENDS.file();
+  await store.getOrCreate("CA1");
+  const counts = await Promise.all(
+    Array.from({ length: 10 }, (_, i) => store.appendMessage("CA1", { role: "user", content: `m${i}` }))
+  );
+  assert.deepEqual([...counts].sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.equal((await store.get("CA1")).messages.length, 10);
+  await store.close();
+});
+
+test("createSessionStore rejects unknown backends", () => {
+  assert.throws(() => createSessionStore("postgres"), /Unknown session store: postgres/);
+});
@@ -0,0 +1,62 @@
+// test/sttProvider.test.js
+// The stub provider's endpointing, fed 20 ms blocks of 8 kHz audio.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSttProvider, createStubSttProvider } from "../sttProvider.js";
+
+const BLOCK_SAMPLES = 160;
+const speech = () => new Int16Array(BLOCK_SAMPLES).fill(2000);
+const silence = () => new Int16Array(BLOCK_SAMPLES);
+
+function feed(session, blocks, ms) {
+  for (let i = 0; i < ms / 20; i++) session.write(blocks());
+}
+
+function openSession(script) {
+  const transcripts = [];
+  const session = createStubSttProvider({ script }).createSession({
+    callSid: "CA1",
+    onTranscript: (t) => transcripts.push(t)
+  });
+  return { session, transcripts, finals: () => transcripts.filter(t => t.isFinal).map(t => t.text) };
+}
+
+test("speech followed by silence yields partials then the scripted final", () => {
+  const { session, transcripts, finals } = openSession("book a haircut tomorrow|at noon");
+  feed(session, speech, 800);
+  feed(session, silence, 600);
+
+  const partials = transcripts.filter(t => !t.isFinal);
+  assert.ok(partials.length > 0);
+  assert.ok(partials.every(p => "book a haircut tomorrow".startsWith(p.text)));
+  assert.deepEqual(finals(), ["book a haircut tomorrow"]);
+  assert.equal(transcripts.at(-1).confidence, 1);
+
+  feed(session, speech, 400);
+  feed(session, silence, 600);
+  assert.deepEqual(finals(), ["book a haircut tomorrow", "at noon"]);
+  session.close();
+});
+
+test("short blips and silence alone produce nothing", () => {
+  const { session, transcripts } = openSession("hello");
+  feed(session, silence, 1000);
+  feed(session, speech, 100);
+  feed(session, silence, 1000);
+  assert.deepEqual(transcripts, []);
+  session.close();
+});
+
+test("a closed session ignores further audio", () => {
+  const { session, transcripts } = openSession("hello");
+  session.close();
+  feed(session, speech, 800);
+  feed(session, silence, 600);
+  assert.deepEqual(transcripts, []);
+});
+
+test("createSttProvider is off by default and rejects unknown providers", () => {
+  assert.equal(createSttProvider("none"), null);
+  assert.equal(createSttProvider("stub").name, "stub");
+  assert.throws(() => createSttProvider("whisper"), /Unknown STT provider: whisper/);
+});
@@ -0,0 +1,120 @@
+// test/twilioSignature.test.js
+// X-Twilio-Signature checks for webhooks and the Media Stream upgrade.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import twilio from "twilio";
+
+const AUTH_TOKEN = "test_auth_token";
+const BASE_URL = "https://gateway.test";
+
+process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+process.env.PUBLIC_BASE_URL = BASE_URL;
+process.env.TWILIO_SIGNATURE_SKIP_ROUTES = "/twilio/status";
+delete process.env.NODE_ENV;
+delete process.env.RENDER;
+const { requireTwilioSignature, verifyTwilioWebSocket, getMediaStreamUrl } = await import("../twilioSignature.js");
+
+// Same module under production settings (a query string gives a fresh instance)
+process.env.NODE_ENV = "production";
+const production = await import("../twilioSignature.js?production");
+delete process.env.NODE_ENV;
+
+function sign(url, params = {}) {
+  return twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, params);
+}
+
+// Just enough of an Express request for the middleware
+function webhookRequest({ path = "/twilio/voice", body = {}, signature } = {}) {
+  const headers = {
+    "content-type": "application/x-www-form-urlencoded",
+    ...(signature ? { "x-twilio-signature": signature } : {})
+  };
+  return {
+    method: "POST",
+    path,
+    originalUrl: path,
+    protocol: "https",
+    body,
+    query: {},
+    ip: "127.0.0.1",
+    get: (name) => headers[name.toLowerCase()],
+    is: (type) => type === headers["content-type"]
+  };
+}
+
+function run(middleware, req) {
+  const result = { nextCalled: false, status: null };
+  const res = {
+    status(code) { result.status = code; return this; },
+    type() { return this; },
+    send() { return this; }
+  };
+  middleware(req, res, () => { result.nextCalled = true; });
+  return result;
+}
+
+const params = { CallSid: "CA123", From: "+15145550100", To: "+15145550199" };
+
+test("a correctly signed webhook passes", () => {
+  const req = webhookRequest({ body: params, signature: sign(`${BASE_URL}/twilio/voice`, params) });
+  const result = run(requireTwilioSignature(), req);
+  assert.equal(result.nextCalled, true);
+  assert.equal(result.status, null);
+});
+
+test("a webhook without a signature is rejected with 403", () => {
+  const result = run(requireTwilioSignature(), webhookRequest({ body: params }));
+  assert.equal(result.nextCalled, false);
+  assert.equal(result.status, 403);
+});
+
+test("tampered params invalidate the signature", () => {
+  const signature = sign(`${BASE_URL}/twilio/voice`, params);
+  const req = webhookRequest({ body: { ...params, From: "+15145550666" }, signature });
+  assert.equal(run(requireTwilioSignature(), req).status, 403);
+});
+
+test("a signature for another URL is rejected", () => {
+  const req = webhookRequest({ body: params, signature: sign(`${BASE_URL}/twilio/other`, params) });
+  assert.equal(run(requireTwilioSignature(), req).status, 403);
+});
+
+test("skip routes and skip: true bypass validation outside production", () => {
+  assert.equal(run(requireTwilioSignature(), webhookRequest({ path: "/twilio/status" })).nextCalled, true);
+  assert.equal(run(requireTwilioSignature({ skip: true }), webhookRequest()).nextCalled, true);
+});
+
+test("production ignores skip routes and skip: true", () => {
+  assert.equal(run(production.requireTwilioSignature(), webhookRequest({ path: "/twilio/status" })).status, 403);
+  assert.equal(run(production.requireTwilioSignature({ skip: true }), webhookRequest()).status, 403);
+});
+
+// Raw Node upgrade request, as WebSocketServer's verifyClient sees it
+function upgradeRequest({ url = "/twilio/media-stream", signature, proto = "https" } = {}) {
+  return {
+    url,
+    headers: {
+      host: "gateway.test",
+      "x-forwarded-proto": proto,
+      ...(signature ? { "x-twilio-signature": signature } : {})
+    },
+    socket: { remoteAddress: "127.0.0.1" }
+  };
+}
+
+test("getMediaStreamUrl follows the forwarded scheme outside production", () => {
+  assert.equal(getMediaStreamUrl(upgradeRequest()), "wss://gateway.test/twilio/media-stream");
+  assert.equal(getMediaStreamUrl(upgradeRequest({ proto: "http" })), "ws://gateway.test/twilio/media-stream");
+  assert.equal(production.getMediaStreamUrl(upgradeRequest({ proto: "http" })), "wss://gateway.test/twilio/media-stream");
+});
+
+test("a signed Media Stream upgrade is accepted", () => {
+  const signature = sign("wss://gateway.test/twilio/media-stream");
+  assert.equal(verifyTwilioWebSocket(upgradeRequest({ signature })), true);
+});
+
+test("unsigned or wrongly signed Media Stream upgrades are refused", () => {
+  assert.equal(verifyTwilioWebSocket(upgradeRequest()), false);
+  const signature = sign("wss://gateway.test/twilio/media-stream?evil=1");
+  assert.equal(verifyTwilioWebSocket(upgradeRequest({ signature })), false);
+});
@@ -0,0 +1,130 @@
+// twilioClient.js
+// Twilio REST client, for changing a call that's already in progress
+// (e.g. moving a Media Stream call to a <Dial>, where there's no webhook
+// response to put the new TwiML in, or recording it), and for texts and calls
+// the gateway starts on its own (booking confirmations, reminder calls).
+//
+// Env:
+//   TWILIO_ACCOUNT_SID + TWILIO_AUTH_TOKEN - both required; without them
+//   getTwilioClient() returns null and callers fall back to what TwiML can do
+import dotenv from "dotenv";
+import twilio from "twilio";
+
+dotenv.config();
+
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID?.trim();
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN?.trim();
+
+let client = null;
+
+export function getTwilioClient() {
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) return null;
+  if (!client) {
+    client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+  }
+  return client;
+}
+
+/**
+ * Point a live call at a new TwiML URL (absolute). Twilio fetches it right away,
+ * which also ends any <Connect><Stream> the call is in.
+ * Returns true on success; logs and returns false otherwise.
+ */
+export async function redirectCall(callSid, url) {
+  const rest = getTwilioClient();
+  if (!rest) {
+    console.warn(`[TWILIO-REST] Cannot redirect CallSid ${callSid}: TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN not set`);
+    return false;
+  }
+
+  try {
+    await rest.calls(callSid).update({ url, method: "POST" });
+    console.log(`[TWILIO-REST] Redirected CallSid ${callSid} to ${url}`);
+    return true;
+  } catch (err) {
+    console.error(`[TWILIO-REST] Failed to redirect CallSid ${callSid}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Send an SMS from one of our Twilio numbers. statusCallback (absolute URL) gets
+ * Twilio's delivery updates. Never throws:
+ * returns { ok, sid, status } or { ok: false, error }.
+ */
+export async function sendSms({ to, from, body, statusCallback }) {
+  const rest = getTwilioClient();
+  if (!rest) {
+    return { ok: false, error: "TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN not set" };
+  }
+
+  try {
+    const message = await rest.messages.create({
+      to,
+      from,
+      body,
+      ...(statusCallback ? { statusCallback } : {})
+    });
+    console.log(`[TWILIO-REST] SMS ${message.sid} to ${to}: ${message.status}`);
+    return { ok: true, sid: message.sid, status: message.status };
+  } catch (err) {
+    console.error(`[TWILIO-REST] Failed to send SMS to ${to}:`, err.message);
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Place an outbound call. Twilio fetches `url` (absolute) for TwiML once it's
+ * answered and posts call progress to statusCallback.
+ * Never throws: returns { ok, sid, status } or { ok: false, error }.
+ */
+export async function placeCall({ to, from, url, statusCallback, machineDetection }) {
+  const rest = getTwilioClient();
+  if (!rest) {
+    return { ok: false, error: "TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN not set" };
+  }
+
+  try {
+    const call = await rest.calls.create({
+      to,
+      from,
+      url,
+      method: "POST",
+      ...(statusCallback ? { statusCallback, statusCallbackMethod: "POST", statusCallbackEvent: ["completed"] } : {}),
+      ...(machineDetection ? { machineDetection } : {})
+    });
+    console.log(`[TWILIO-REST] Placed call ${call.sid} to ${to}: ${call.status}`);
+    return { ok: true, sid: call.sid, status: call.status };
+  } catch (err) {
+    console.error(`[TWILIO-REST] Failed to place call to ${to}:`, err.message);
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Start recording a live call (both sides, one channel each). statusCallback
+ * (absolute URL) gets Twilio's recording status updates.
+ * Never throws: returns { ok, sid, status } or { ok: false, error }.
+ */
+export async function startCallRecording(callSid, { statusCallback } = {}) {
+  const rest = getTwilioClient();
+  if (!rest) {
+    return { ok: false, error: "TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN not set" };
+  }
+
+  try {
+    const recording = await rest.calls(callSid).recordings.create({
+      recordingChannels: "dual",
+      ...(statusCallback ? {
+        recordingStatusCallback: statusCallback,
+        recordingStatusCallbackMethod: "POST",
+        recordingStatusCallbackEvent: ["in-progress", "completed", "absent"]
+      } : {})
+    });
+    console.log(`[TWILIO-REST] Recording ${recording.sid} started for CallSid ${callSid}`);
+    return { ok: true, sid: recording.sid, status: recording.status };
+  } catch (err) {
+    console.error(`[TWILIO-REST] Failed to start recording CallSid ${callSid}:`, err.message);
+    return { ok: false, error: err.message };
+  }
+}
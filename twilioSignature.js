@@ -0,0 +1,143 @@
+// twilioSignature.js
+// Express middleware that rejects /twilio/* webhooks not signed by Twilio, and
+// the same check for the /twilio/media-stream WebSocket upgrade.
+//
+// Twilio signs each request with HMAC-SHA1 over the full URL it called plus the
+// POST params, using our auth token (X-Twilio-Signature). Behind Render's proxy
+// the URL has to be rebuilt from the forwarded headers (or PUBLIC_BASE_URL),
+// otherwise every signature would look invalid. Media Streams are signed over
+// the ws(s):// URL from the <Stream> TwiML, with no params.
+//
+// Env:
+//   TWILIO_AUTH_TOKEN              - required to validate; without it requests are
+//                                    rejected in production and let through locally
+//   PUBLIC_BASE_URL                - e.g. https://book8-voice-gateway.onrender.com
+//                                    (overrides the forwarded host/proto)
+//   TWILIO_SIGNATURE_SKIP_ROUTES   - comma-separated paths to skip, for local dev
+//                                    (e.g. "/twilio/voice,/twilio/handle-gather");
+//                                    ignored in production
+import dotenv from "dotenv";
+import twilio from "twilio";
+
+dotenv.config();
+
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN?.trim();
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL?.replace(/\/+$/, "");
+const IS_PRODUCTION = process.env.NODE_ENV === "production" || !!process.env.RENDER;
+const CONFIGURED_SKIP_ROUTES = (process.env.TWILIO_SIGNATURE_SKIP_ROUTES || "")
+  .split(",")
+  .map(r => r.trim())
+  .filter(Boolean);
+const SKIP_ROUTES = new Set(IS_PRODUCTION ? [] : CONFIGURED_SKIP_ROUTES);
+
+if (IS_PRODUCTION && CONFIGURED_SKIP_ROUTES.length > 0) {
+  console.warn(`[TWILIO-AUTH] TWILIO_SIGNATURE_SKIP_ROUTES is set in production and will be ignored: ${CONFIGURED_SKIP_ROUTES.join(", ")}`);
+}
+
+if (!TWILIO_AUTH_TOKEN) {
+  console.warn(
+    IS_PRODUCTION
+      ? "[TWILIO-AUTH] TWILIO_AUTH_TOKEN is not set. All /twilio/* webhooks will be rejected."
+      : "[TWILIO-AUTH] TWILIO_AUTH_TOKEN is not set. Skipping signature validation (not production)."
+  );
+}
+
+// Public base URL of this gateway (PUBLIC_BASE_URL, else the request's host).
+// Relies on app.set("trust proxy", ...) for req.protocol behind Render.
+export function getPublicBaseUrl(req) {
+  return PUBLIC_BASE_URL || `${req.protocol}://${req.get("x-forwarded-host") || req.get("host")}`;
+}
+
+// Rebuild the exact URL Twilio requested, as seen from outside the proxy.
+export function getTwilioRequestUrl(req) {
+  return `${getPublicBaseUrl(req)}${req.originalUrl}`;
+}
+
+// The Media Stream URL for <Stream> in /twilio/voice: wss:// in production
+// (Render terminates TLS), else whatever scheme the webhook came in on.
+// Plain Node headers, so it works on raw WebSocket upgrade requests too
+export function getMediaStreamUrl(req, path = "/twilio/media-stream") {
+  const host = req.headers.host;
+  const forwardedProto = req.headers["x-forwarded-proto"]?.split(",")[0].trim();
+  const secure = IS_PRODUCTION || host?.includes("onrender.com") || forwardedProto === "https" || !!req.socket?.encrypted;
+  return `${secure ? "wss" : "ws"}://${host || process.env.WS_HOST || "book8-voice-gateway.onrender.com"}${path}`;
+}
+
+function reject(req, res, reason) {
+  console.warn("[TWILIO-AUTH] Rejected webhook", JSON.stringify({
+    route: req.path,
+    method: req.method,
+    reason,
+    url: getTwilioRequestUrl(req),
+    callSid: req.body?.CallSid || req.query?.callSid || null,
+    ip: req.ip,
+    hasSignature: !!req.get("x-twilio-signature")
+  }));
+  res.status(403).type("text/plain").send("Forbidden");
+}
+
+/**
+ * Validate X-Twilio-Signature on a webhook route.
+ * Options:
+ * - skip: turn validation off for this route (local development only; ignored in production)
+ */
+export function requireTwilioSignature({ skip = false } = {}) {
+  return (req, res, next) => {
+    if ((skip && !IS_PRODUCTION) || SKIP_ROUTES.has(req.path)) {
+      return next();
+    }
+
+    if (!TWILIO_AUTH_TOKEN) {
+      if (IS_PRODUCTION) return reject(req, res, "auth_token_missing");
+      return next();
+    }
+
+    const signature = req.get("x-twilio-signature");
+    if (!signature) {
+      return reject(req, res, "signature_missing");
+    }
+
+    // Form posts are signed over their params; GETs only over the URL
+    const params = req.method === "POST" && req.is("application/x-www-form-urlencoded")
+      ? req.body
+      : {};
+
+    const valid = twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, getTwilioRequestUrl(req), params);
+    if (!valid) {
+      return reject(req, res, "signature_invalid");
+    }
+
+    next();
+  };
+}
+
+/**
+ * Check X-Twilio-Signature on a Media Stream WebSocket upgrade (raw Node
+ * request). For WebSocketServer's verifyClient; returns true to accept.
+ */
+export function verifyTwilioWebSocket(req) {
+  const route = req.url.split("?")[0];
+  if (SKIP_ROUTES.has(route)) return true;
+
+  const url = getMediaStreamUrl(req, req.url);
+  const signature = req.headers["x-twilio-signature"];
+  let reason = null;
+  if (!TWILIO_AUTH_TOKEN) {
+    if (!IS_PRODUCTION) return true;
+    reason = "auth_token_missing";
+  } else if (!signature) {
+    reason = "signature_missing";
+  } else if (!twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, {})) {
+    reason = "signature_invalid";
+  }
+  if (!reason) return true;
+
+  console.warn("[TWILIO-AUTH] Rejected Media Stream", JSON.stringify({
+    route,
+    reason,
+    url,
+    ip: req.socket?.remoteAddress || null,
+    hasSignature: !!signature
+  }));
+  return false;
+}
@@ -0,0 +1,57 @@
+// vad.js
+// Energy-based voice activity detection for inbound Media Stream audio.
+// Used for barge-in: detect the caller starting to talk over streamed TTS.
+import { MULAW_SAMPLE_RATE, pcmRms } from "./audioCodec.js";
+
+// Defaults tuned for 8 kHz phone audio. Inbound audio is the caller's track
+// only, so our own TTS never shows up here and can't trigger a false start.
+const DEFAULT_START_RMS = 900;      // energy needed to count a block as speech
+const DEFAULT_STOP_RMS = 500;       // energy below which a block counts as quiet
+const DEFAULT_MIN_SPEECH_MS = 160;  // sustained speech before "speech_start"
+const DEFAULT_HANGOVER_MS = 500;    // sustained quiet before "speech_end"
+
+/**
+ * Create a VAD with start/stop hysteresis.
+ * process(samples) returns "speech_start", "speech_end" or null for each block.
+ */
+export function createVad({
+  sampleRate = MULAW_SAMPLE_RATE,
+  startRms = Number(process.env.VAD_START_RMS) || DEFAULT_START_RMS,
+  stopRms = Number(process.env.VAD_STOP_RMS) || DEFAULT_STOP_RMS,
+  minSpeechMs = DEFAULT_MIN_SPEECH_MS,
+  hangoverMs = DEFAULT_HANGOVER_MS
+} = {}) {
+  let speaking = false;
+  let voicedMs = 0;
+  let quietMs = 0;
+
+  return {
+    get speaking() {
+      return speaking;
+    },
+
+    process(samples) {
+      if (samples.length === 0) return null;
+      const blockMs = (samples.length / sampleRate) * 1000;
+      const rms = pcmRms(samples);
+
+      if (!speaking) {
+        voicedMs = rms >= startRms ? voicedMs + blockMs : 0;
+        if (voicedMs >= minSpeechMs) {
+          speaking = true;
+          quietMs = 0;
+          return "speech_start";
+        }
+        return null;
+      }
+
+      quietMs = rms < stopRms ? quietMs + blockMs : 0;
+      if (quietMs >= hangoverMs) {
+        speaking = false;
+        voicedMs = 0;
+        return "speech_end";
+      }
+      return null;
+    }
+  };
+}
@@ -0,0 +1,113 @@
+// voiceSettings.js
+// How a business sounds on the phone: greeting, <Gather>/<Say> language,
+// Twilio (Polly) voice and ElevenLabs voice ID.
+//
+// Each field is taken from the first source that sets it:
+//   1. the core-api business profile (greeting, language, ttsVoice, elevenLabsVoiceId)
+//   2. BUSINESSES_BY_PHONE in businessConfig.js, by the number that was called
+//   3. the gateway defaults below
+//
+// A business can also list the languages it takes calls in (`languages`: codes
+// or { code, ttsVoice, elevenLabsVoiceId, greeting, digit }); the first one is
+// the default. Callers switch by keypad digit or by speaking another language
+// (see callLanguage.js); withLanguage() gives the settings for the switch.
+import dotenv from "dotenv";
+import { getOwnBusinessProfile } from "./businessProfile.js";
+import { BUSINESSES_BY_PHONE } from "./businessConfig.js";
+import { LANGUAGE_DEFAULTS } from "./callLanguage.js";
+
+dotenv.config();
+
+export const DEFAULT_GREETING = "Hi, thanks for calling. How can I help you today?";
+export const DEFAULT_LANGUAGE = "en-US";
+// TTS Voice configuration
+export const DEFAULT_TTS_VOICE = process.env.TWILIO_TTS_VOICE || "Polly.Matthew-Neural";
+// Other nice options: "Polly.Joanna-Neural", "Polly.Kendra-Neural", "Polly.Joey-Neural", "Polly.Salli-Neural"
+export const ELEVENLABS_AGENT_ID = process.env.ELEVENLABS_AGENT_ID || "agent_1301kd4p9ks6et4rm4xpzecsx5";
+
+const VOICE_FIELDS = ["greeting", "language", "ttsVoice", "elevenLabsVoiceId"];
+
+export function getDefaultVoiceSettings() {
+  const base = {
+    greeting: DEFAULT_GREETING,
+    language: DEFAULT_LANGUAGE,
+    ttsVoice: DEFAULT_TTS_VOICE,
+    elevenLabsVoiceId: ELEVENLABS_AGENT_ID
+  };
+  return { ...base, languages: resolveLanguages(base, null) };
+}
+
+// Fill in each supported language's voice/greeting. Settings given for the
+// business's main language carry over to that language's entry.
+function resolveLanguages(base, configured) {
+  let entries = (Array.isArray(configured) ? configured : [])
+    .map(entry => (typeof entry === "string" ? { code: entry } : entry))
+    .filter(entry => typeof entry?.code === "string" && entry.code.trim());
+  if (entries.length === 0) entries = [{ code: base.language }];
+
+  return entries.map((entry, i) => {
+    const code = entry.code.trim();
+    const isBase = code === base.language;
+    const defaults = LANGUAGE_DEFAULTS[code] || {};
+    return {
+      code,
+      digit: String(entry.digit || i + 1),
+      ttsVoice: entry.ttsVoice || (isBase ? base.ttsVoice : defaults.ttsVoice) || base.ttsVoice,
+      elevenLabsVoiceId: entry.elevenLabsVoiceId || base.elevenLabsVoiceId,
+      greeting: entry.greeting || (isBase ? base.greeting : defaults.greeting) || base.greeting
+    };
+  });
+}
+
+/**
+ * Settings switched to another supported language (voices, greeting, language).
+ * Returns the settings unchanged if the language isn't supported.
+ */
+export function withLanguage(voice, code) {
+  const entry = voice.languages?.find(l => l.code === code);
+  if (!entry) return voice;
+  return {
+    ...voice,
+    language: entry.code,
+    ttsVoice: entry.ttsVoice,
+    elevenLabsVoiceId: entry.elevenLabsVoiceId,
+    greeting: entry.greeting
+  };
+}
+
+function pickVoiceFields(source) {
+  const picked = {};
+  for (const field of VOICE_FIELDS) {
+    if (typeof source?.[field] === "string" && source[field].trim()) {
+      picked[field] = source[field].trim();
+    }
+  }
+  return picked;
+}
+
+/**
+ * Voice settings for a call to `to`, routed to `businessId`.
+ * Never throws; missing fields fall back to the gateway defaults.
+ */
+export async function getVoiceSettings({ businessId, to }) {
+  const profile = await getOwnBusinessProfile(businessId);
+  const phoneConfig = BUSINESSES_BY_PHONE[to];
+
+  const base = {
+    greeting: DEFAULT_GREETING,
+    language: DEFAULT_LANGUAGE,
+    ttsVoice: DEFAULT_TTS_VOICE,
+    elevenLabsVoiceId: ELEVENLABS_AGENT_ID,
+    ...pickVoiceFields(phoneConfig),
+    ...pickVoiceFields(profile)
+  };
+  const languages = resolveLanguages(base, profile?.languages || phoneConfig?.languages);
+
+  // The first listed language is the one calls start in
+  return withLanguage({ ...base, languages }, languages[0].code);
+}
+
+// Attributes for a TwiML <Say> in this voice
+export function sayAttributes(voice) {
+  return { voice: voice.ttsVoice, language: voice.language };
+}